@@ -1,169 +1,280 @@
-const AWS = require('aws-sdk');
-const { REQUEST_TYPES } = require('../constants');
-const { checkCacheAsync, writeToCacheAsync, createCacheKey } = require('../helpers');
+const { getStorage } = require('cloud-highway-one-common');
+const { DATA_FORMATS, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } = require('../constants');
+const { checkRequired, checkParameter, badRequest, internalServerError } = require('../errors');
+const {
+  checkSourceProvider,
+  checkSource,
+  checkProvider,
+  checkMaxAgeMinutes,
+  checkMode,
+  checkLimit,
+  parseTimestamp,
+  isStale,
+  pickMeasurement,
+  getAllDataAsync,
+  ALL_DATA_FIELDS,
+  PING_FIELDS,
+  createSymmetricPairs,
+  createLatencyMatrix,
+  formatLatencyMatrix
+} = require('../helpers');
 
-const docClient = new AWS.DynamoDB.DocumentClient({
-  region: 'us-west-2',
-  apiVersion: '2012-08-10',
-  sslEnabled: true
-});
+const storage = getStorage();
+
+// attributes which can be picked with the `fields` parameter
+const FIELDS = ALL_DATA_FIELDS;
+
+// parameters of the paginated list, which cannot be combined with the views of the entire dataset
+const PAGING_PARAMETERS = ['limit', 'nextToken', 'srcProvider', 'srcRegion', 'dstProvider', 'since', 'fields'];
+
+/**
+ * Wrap the storage's nextKey into an opaque token
+ *
+ * @param {*} nextKey e.g. { srcRegion: 'aws@us-west-2', dstRegion: 'aws@ap-east-1' }
+ * @returns base64 string or null if there are no more pages
+ */
+const encodeNextToken = (nextKey) => {
+  if (!nextKey) {
+    return null;
+  }
+  return Buffer.from(JSON.stringify(nextKey)).toString('base64');
+};
+
+/**
+ * Unwrap a token created by encodeNextToken
+ *
+ * @param {*} nextToken base64 string
+ * @returns the startKey, e.g. { srcRegion: 'aws@us-west-2', dstRegion: 'aws@ap-east-1' }, or null if invalid
+ */
+const decodeNextToken = (nextToken) => {
+  try {
+    const key = JSON.parse(Buffer.from(nextToken, 'base64').toString());
+    if (typeof key.srcRegion === 'string' && typeof key.dstRegion === 'string' && Object.keys(key).length === 2) {
+      return key;
+    }
+  } catch (error) {
+    // invalid token
+  }
+  return null;
+};
 
 /**
  * GET method to get all data in random order (all possible permutations of latencies from each region to another including itself)
  *
- * Example query: (please note that the "acknowledgement" text has to match exactly)
+ * The data is returned page by page. `limit` is the page size (up to 1000, defaults to 500), and each response has a `nextToken`
+ * to pass to the next request, or null on the last page. A page can have fewer results than `limit` (even none) when filters are set,
+ * keep going until `nextToken` is null.
+ *
+ * All parameters are optional:
+ * - `srcProvider` (and `srcRegion`): only return the pairs from this provider (region)
+ * - `dstProvider`: only return the pairs to this provider
+ * - `since`: only return the pairs measured or failed since then, ISO 8601 date or milliseconds since epoch
+ * - `fields`: comma separated attributes to return besides the region names, e.g. "ping,measuredAt". Defaults to all of
+ *   "ping", "minPing", "maxPing", "stddev", "packetLoss", "p50", "p90", "p99", "measuredAt" and "reachable"
+ *
+ * Example query:
+ *
+ * /getAllData?srcProvider=aws&dstProvider=gcp&since=2020-08-01T00:00:00Z&limit=100&fields=ping,measuredAt
  *
- * /getAllData?acknowledgement=Yes_I_Understand_This_Operation_Is_Expensive_And_I_Should_Only_Make_The_Request_When_I_Really_Need_It
+ * Set the optional `maxAgeMinutes` to flag each result with `stale: true` if it was measured longer ago than that.
+ *
+ * Set the optional `mode` to "symmetric" to get one result per unordered pair of regions instead, with both directions side by side,
+ * their mean and the asymmetry (absolute difference), e.g.
+ * { srcProvider: 'aws', srcRegion: 'ap-east-1', dstProvider: 'aws', dstRegion: 'us-west-2', forward: { ping: 125.74213, ... }, reverse: { ping: 127.0012, ... }, meanPing: 126.371665, asymmetry: 1.25907 }.
+ * The regions of each pair are ordered by name and `forward` is the direction from `srcRegion` to `dstRegion`.
+ *
+ * Set the optional `format` to get the pings as a matrix instead of a list. The rows are the source regions and the columns
+ * the destination regions, both sorted by region name. Unreachable pairs, pairs which have not been measured and,
+ * if `maxAgeMinutes` is set, stale pairs are left empty:
+ * - `json` (default): the list below
+ * - `matrix`: JSON, e.g. { regions: ['aws@ap-east-1', 'aws@us-west-2'], pings: [[1.0213, 125.9981], [125.74213, null]] }
+ * - `csv` and `tsv`: comma or tab separated values with a header row and a header column, e.g.
+ *   src/dst,aws@ap-east-1,aws@us-west-2
+ *   aws@ap-east-1,1.0213,125.9981
+ *   aws@us-west-2,125.74213,
+ * `mode=symmetric` and the matrix formats always return the entire dataset, they cannot be combined with paging, filters or `fields`.
  *
  * @param {*} event
- * @returns a list of every possible permutations (including source region to itself) in random order.
- * latency in milliseconds (keep the original accuracy)
+ * @returns a page of permutations (including source region to itself) in random order.
+ * latency in milliseconds (keep the original accuracy), see getLatency for the statistics
  *
  * Example response (JSON):
  *
  * {
  *   data: [
- *     { srcProvider: 'aws', srcRegion: 'us-west-2', dstProvider: 'aws', dstRegion: 'ap-east-1', ping: 125.74213 },
- *     { srcProvider: 'aws', srcRegion: 'eu-central-1', dstProvider: 'aws', dstRegion: 'eu-central-1', ping: 20.00115 },
+ *     {
+ *       srcProvider: 'aws',
+ *       srcRegion: 'us-west-2',
+ *       dstProvider: 'aws',
+ *       dstRegion: 'ap-east-1',
+ *       ping: 125.74213,
+ *       minPing: 125.0019283,
+ *       maxPing: 126.8812002,
+ *       stddev: 0.6410923,
+ *       packetLoss: 0,
+ *       p50: 125.9012873,
+ *       p90: 127.4410291,
+ *       p99: 130.2209812,
+ *       measuredAt: '2020-08-01T00:00:00.512Z',
+ *       reachable: true,
+ *       stale: false
+ *     },
  *     ...
- *   ]
+ *   ],
+ *   nextToken: 'eyJzcmNSZWdpb24iOiJhd3NAdXMtd2VzdC0yIiwiZHN0UmVnaW9uIjoiYXdzQGFwLWVhc3QtMSJ9'
  * }
  *
  */
 
 module.exports.getAllData = async (event) => {
-  if (!event || !event.queryStringParameters) {
-    return {
-      statusCode: 400,
-      body: JSON.stringify(
-        {
-          error: 'Bad Request'
-        },
-        null,
-        2
-      )
-    };
-  }
-
-  const { acknowledgement } = event.queryStringParameters;
-
-  if (
-    acknowledgement !==
-    'Yes_I_Understand_This_Operation_Is_Expensive_And_I_Should_Only_Make_The_Request_When_I_Really_Need_It'
-  ) {
-    return {
-      statusCode: 400,
-      body: JSON.stringify(
-        {
-          error: 'Bad Request'
-        },
-        null,
-        2
-      )
-    };
-  }
+  const parameters = (event && event.queryStringParameters) || {};
 
-  const cacheKey = createCacheKey(REQUEST_TYPES.AllData, null);
+  const { maxAgeMinutes } = parameters;
+  const { mode } = parameters;
+  const format = parameters.format || 'json';
+  const { limit } = parameters;
+  const { nextToken } = parameters;
+  const { srcProvider } = parameters;
+  const { srcRegion } = parameters;
+  const { dstProvider } = parameters;
+  const { since } = parameters;
+  const fields = parameters.fields ? parameters.fields.split(',') : null;
 
-  // Read From Cache DB
-  let cachedValue;
+  const sinceDate = since ? parseTimestamp(since) : null;
+  const exclusiveStartKey = nextToken ? decodeNextToken(nextToken) : null;
+  const pagingParameter = PAGING_PARAMETERS.find((x) => parameters[x]);
 
-  try {
-    cachedValue = await checkCacheAsync(cacheKey);
-  } catch (error) {
-    console.error('logtag: dcb32b99-4a17-4778-8e4a-cd5689971926', error);
+  const validationError =
+    checkMaxAgeMinutes(maxAgeMinutes) ||
+    checkMode(mode) ||
+    checkParameter('format', Object.keys(DATA_FORMATS).includes(format), 'must be one of the allowed values', {
+      allowedValues: Object.keys(DATA_FORMATS),
+      value: format
+    }) ||
+    checkParameter('format', mode !== 'symmetric' || format === 'json', 'only "json" is supported in symmetric mode') ||
+    checkParameter(
+      pagingParameter,
+      (mode !== 'symmetric' && format === 'json') || !pagingParameter,
+      'cannot be combined with symmetric mode or the matrix formats'
+    ) ||
+    checkLimit('limit', limit, MAX_PAGE_SIZE) ||
+    checkParameter('nextToken', !nextToken || exclusiveStartKey, 'must be the nextToken of the previous page') ||
+    (srcProvider && checkSourceProvider('srcProvider', srcProvider)) ||
+    (srcRegion && (checkRequired({ srcProvider }) || checkSource(srcProvider, srcRegion))) ||
+    checkParameter(
+      'nextToken',
+      !srcRegion || !exclusiveStartKey || exclusiveStartKey.srcRegion === `${srcProvider}@${srcRegion}`.toLowerCase(),
+      'must be the nextToken of the previous page of the same "srcRegion"'
+    ) ||
+    (dstProvider && checkProvider('dstProvider', dstProvider)) ||
+    checkParameter('since', !since || sinceDate, 'must be an ISO 8601 date or milliseconds since epoch') ||
+    checkParameter('fields', !fields || fields.every((x) => FIELDS.includes(x)), 'must be some of the allowed values', {
+      allowedValues: FIELDS,
+      value: fields && fields.find((x) => !FIELDS.includes(x))
+    });
+  if (validationError) {
+    return badRequest(validationError);
   }
-  if (cachedValue) {
-    console.log('logtag: 1d0f40fd-30fe-4f91-b4f1-1f944723440f', 'cache hit');
-    return {
-      statusCode: 200,
-      body: cachedValue
-    };
-  }
-  console.log('logtag: 3d81592a-25b9-42f2-ba0d-f0e38d166c3d', 'cache miss');
-
-  // Read From Data DB
-  // if cache miss, read from database eventually
-  let lastEvaluatedKey = null;
-  let responseItemsArray = [];
 
-  do {
-    const params = {
-      TableName: 'CloudHighwayOne'
-    };
-    const paramsToContinue = {
-      TableName: 'CloudHighwayOne',
-      ExclusiveStartKey: lastEvaluatedKey
-    };
-
-    let response;
+  if (mode === 'symmetric' || format !== 'json') {
+    // views of the entire dataset, read through the cache
+    let data;
 
     try {
-      // suppress eslint warnings
-      // eslint-disable-next-line no-await-in-loop
-      response = await docClient.scan(lastEvaluatedKey ? paramsToContinue : params).promise();
+      // the matrix formats only need the pings, symmetric mode returns every statistic
+      data = await getAllDataAsync(format !== 'json' ? PING_FIELDS : undefined);
     } catch (error) {
       console.error('logtag: 457bfe75-87a9-42fc-a77e-035b2446e04c', error);
-      return {
-        statusCode: 500,
-        body: JSON.stringify(
-          {
-            error: 'Internal Server Error'
-          },
-          null,
-          2
-        )
-      };
+      return internalServerError();
     }
 
-    lastEvaluatedKey = response.LastEvaluatedKey;
-    /* Response format:
-          Items: [
-            { srcRegion: 'us-west-2', dstRegion: 'aws@us-west-1', ping: 45 },
-            ...
-          ]
-    */
-    if (response.Items) {
-      responseItemsArray = responseItemsArray.concat(response.Items);
+    if (format !== 'json') {
+      const matrix = createLatencyMatrix(data, { maxAgeMinutes });
+      return {
+        statusCode: 200,
+        headers: {
+          'Content-Type': DATA_FORMATS[format]
+        },
+        body:
+          format === 'matrix'
+            ? JSON.stringify(matrix, null, 2)
+            : formatLatencyMatrix(matrix, format === 'csv' ? ',' : '\t')
+      };
     }
-  } while (lastEvaluatedKey);
 
-  const result = JSON.stringify(
-    {
-      data: responseItemsArray.map((x) => {
+    if (maxAgeMinutes) {
+      data = data.map((x) => {
         return {
-          srcProvider: x.srcRegion.split('@')[0],
-          srcRegion: x.srcRegion.split('@')[1],
-          dstProvider: x.dstRegion.split('@')[0],
-          dstRegion: x.dstRegion.split('@')[1],
-          ping: x.ping
+          ...x,
+          stale: isStale(x.measuredAt, maxAgeMinutes)
         };
-      })
-    },
-    null,
-    2
-  );
-
-  if (result) {
-    try {
-      await writeToCacheAsync(cacheKey, result);
-    } catch (error) {
-      console.error('logtag: b4b980f7-0872-4699-9cd3-bb3be5043fd7', error);
+      });
     }
-  }
 
-  if (result) {
     return {
       statusCode: 200,
-      body: result
+      body: JSON.stringify(
+        {
+          data: createSymmetricPairs(data)
+        },
+        null,
+        2
+      )
     };
   }
-  console.error('logtag: 9ddcb74f-5172-4218-9969-a829a5cbcd6c', 'no result');
+
+  const options = {
+    limit: limit ? Number(limit) : DEFAULT_PAGE_SIZE,
+    startKey: exclusiveStartKey,
+    // measuredAt is always read to flag stale results
+    attributes: [...new Set([...(fields || FIELDS), 'measuredAt'])],
+    filter: {
+      srcProvider: !srcRegion && srcProvider ? srcProvider.toLowerCase() : undefined,
+      dstProvider: dstProvider ? dstProvider.toLowerCase() : undefined,
+      since: sinceDate ? sinceDate.toISOString() : undefined
+    }
+  };
+
+  let response;
+
+  try {
+    response = await (srcRegion
+      ? storage.querySource(`${srcProvider}@${srcRegion}`.toLowerCase(), options)
+      : storage.scanAll(options));
+  } catch (error) {
+    console.error('logtag: 2c6f8e14-7b3a-4d59-91e0-a5d8c3f7b246', error);
+    return internalServerError();
+  }
+
+  /* Response format:
+        items: [
+          { srcRegion: 'aws@us-west-2', dstRegion: 'aws@us-west-1', ping: 45, ... },
+          ...
+        ],
+        nextKey: { srcRegion: 'aws@us-west-2', dstRegion: 'aws@us-west-1' }
+  */
+  const data = response.items.map((x) => {
+    const measurement = pickMeasurement(x, maxAgeMinutes);
+    const result = {
+      srcProvider: x.srcRegion.split('@')[0],
+      srcRegion: x.srcRegion.split('@')[1],
+      dstProvider: x.dstRegion.split('@')[0],
+      dstRegion: x.dstRegion.split('@')[1]
+    };
+    Object.keys(measurement).forEach((key) => {
+      if (!fields || fields.includes(key) || key === 'stale') {
+        result[key] = measurement[key];
+      }
+    });
+    return result;
+  });
+
   return {
-    statusCode: 500,
+    statusCode: 200,
     body: JSON.stringify(
       {
-        error: 'Internal Server Error'
+        data,
+        nextToken: encodeNextToken(response.nextKey)
       },
       null,
       2
@@ -1,65 +1,128 @@
-const AWS = require('aws-sdk');
-const { REQUEST_TYPES } = require('../constants');
+const { checkRequired, checkParameter, badRequest, internalServerError } = require('../errors');
 const {
-  validateRegion,
-  checkCacheAsync,
-  writeToCacheAsync,
-  createCacheKey,
-  generateListOfAllRegionsExceptSelf
+  checkSource,
+  generateListOfAllRegionsExceptSelf,
+  checkMaxAgeMinutes,
+  checkMetric,
+  pickMeasurement,
+  pickHttpsMetric,
+  checkMode,
+  pairDirections,
+  getLatenciesFromSourceAsync,
+  getLatenciesToDestinationAsync,
+  listMissingRegions
 } = require('../helpers');
 
-const docClient = new AWS.DynamoDB.DocumentClient({
-  region: 'us-west-2',
-  apiVersion: '2012-08-10',
-  sslEnabled: true
-});
-
 /**
  * GET method to get the latencies against all supported regions of all providers from a source region
  *
+ * Set the optional `maxAgeMinutes` to flag each result with `stale: true` if it was measured longer ago than that.
+ *
+ * Set the optional `metric` to one of "dns", "tcp", "tls" and "ttfb" to get the DNS resolution, TCP connection, TLS handshake
+ * or time to first byte of HTTPS requests instead of the ping,
+ * e.g. { dstProvider: 'aws', dstRegion: 'ap-east-1', metric: 'ttfb', value: 48.8, measuredAt: '2020-08-01T00:00:00.512Z' }
+ *
+ * Set the optional `mode` to "symmetric" to get both directions of each pair side by side, their mean and the asymmetry (absolute difference),
+ * e.g. { dstProvider: 'aws', dstRegion: 'ap-east-1', forward: { ping: 125.5481, ... }, reverse: { ping: 127.0012, ... }, meanPing: 126.27465, asymmetry: 1.4531 }.
+ * `forward` is the direction from the source region. `metric` cannot be used together with it.
+ *
  * Example query:
  *
- * /getAllDstRegion?srcProvider=aws&srcRegion=us-west-2
+ * /getAllDstRegion?srcProvider=aws&srcRegion=us-west-2&maxAgeMinutes=60
  *
  * @param {*} event
- * @returns a list of destination providers, region names and latencies (does not include the source region itself)
- * latency in milliseconds (keep the original accuracy)
+ * @returns a list of destination providers, region names and latency statistics (does not include the source region itself)
+ * latency in milliseconds (keep the original accuracy), see getLatency for the statistics.
+ * `missing` lists the regions which have never been measured from the source region
  *
  * Example response (JSON):
  *
  * {
  *   data: [
- *     { dstProvider: 'aws', dstRegion: 'ap-east-1', ping: 125.5481 },
- *     { dstProvider: 'aws', dstRegion: 'eu-central-1', ping: 200.00018 },
+ *     {
+ *       dstProvider: 'aws',
+ *       dstRegion: 'ap-east-1',
+ *       ping: 125.5481,
+ *       minPing: 124.9820117,
+ *       maxPing: 126.3011209,
+ *       stddev: 0.4718203,
+ *       packetLoss: 0,
+ *       p50: 125.7210009,
+ *       p90: 127.1190982,
+ *       p99: 131.0081273,
+ *       measuredAt: '2020-08-01T00:00:00.512Z',
+ *       reachable: true,
+ *       stale: false
+ *     },
  *     ...
- *   ]
+ *   ],
+ *   missing: ['gcp@europe-west6']
  * }
  *
  */
 
 module.exports.getAllInterRegionalLatenciesFromSourceRegion = async (event) => {
-  if (!event || !event.queryStringParameters) {
-    return {
-      statusCode: 400,
-      body: JSON.stringify(
-        {
-          error: 'Bad Request'
-        },
-        null,
-        2
-      )
-    };
+  const parameters = (event && event.queryStringParameters) || {};
+
+  const { srcProvider } = parameters;
+  const { srcRegion } = parameters;
+  const { maxAgeMinutes } = parameters;
+  const { metric } = parameters;
+  const { mode } = parameters;
+
+  const validationError =
+    checkRequired({ srcProvider, srcRegion }) ||
+    checkSource(srcProvider, srcRegion) ||
+    checkMaxAgeMinutes(maxAgeMinutes) ||
+    checkMetric(metric) ||
+    checkMode(mode) ||
+    checkParameter(
+      'metric',
+      mode !== 'symmetric' || !metric || metric === 'ping',
+      'only "ping" is supported in symmetric mode'
+    );
+  if (validationError) {
+    return badRequest(validationError);
   }
 
-  const { srcProvider } = event.queryStringParameters;
-  const { srcRegion } = event.queryStringParameters;
+  const srcRegionName = `${srcProvider.toLowerCase()}@${srcRegion.toLowerCase()}`;
 
-  if (!srcProvider || !srcRegion || !validateRegion(srcProvider, srcRegion)) {
+  if (mode === 'symmetric') {
+    let responses;
+    try {
+      responses = await Promise.all([
+        getLatenciesFromSourceAsync(srcRegionName),
+        getLatenciesToDestinationAsync(srcRegionName)
+      ]);
+    } catch (error) {
+      console.error('logtag: 7c1e9d3a-4f62-4b08-8e5d-2a6f0b9c3d71', error);
+      return internalServerError();
+    }
+
+    const [forwardItems, reverseItems] = responses;
+    const regionNames = generateListOfAllRegionsExceptSelf(srcRegionName);
     return {
-      statusCode: 400,
+      statusCode: 200,
       body: JSON.stringify(
         {
-          error: 'Bad Request'
+          data: regionNames
+            .map((dstRegionName) => {
+              const forward = forwardItems.find((x) => x.dstRegion === dstRegionName);
+              const reverse = reverseItems.find((x) => x.srcRegion === dstRegionName);
+              return (
+                (forward || reverse) && {
+                  dstProvider: dstRegionName.split('@')[0],
+                  dstRegion: dstRegionName.split('@')[1],
+                  ...pairDirections(
+                    forward && pickMeasurement(forward, maxAgeMinutes),
+                    reverse && pickMeasurement(reverse, maxAgeMinutes)
+                  )
+                }
+              );
+            })
+            .filter((x) => x),
+          // regions without a measurement in either direction
+          missing: listMissingRegions(listMissingRegions(regionNames, forwardItems), reverseItems, 'srcRegion')
         },
         null,
         2
@@ -67,159 +130,35 @@ module.exports.getAllInterRegionalLatenciesFromSourceRegion = async (event) => {
     };
   }
 
-  const srcRegionName = `${srcProvider.toLowerCase()}@${srcRegion.toLowerCase()}`;
-
-  let result;
-
-  // Read From Cache DB
-  const dst = generateListOfAllRegionsExceptSelf(srcRegionName);
-  const cacheKey = createCacheKey(REQUEST_TYPES.LatenciesFromOneRegionToMultiRegionCandidates, {
-    src: srcRegionName,
-    dst: dst.map((x) => x.toLowerCase())
-  });
-  let cachedValue;
-
-  if (cacheKey) {
-    try {
-      cachedValue = await checkCacheAsync(cacheKey);
-    } catch (error) {
-      console.error('logtag: 363b8d24-dbe6-4535-bc38-37e12119c5e6', error);
-    }
-    if (cachedValue) {
-      // expect cache value to be a string in format: "{"dstRegion":"aws@us-west-1","ping":45}|{"dstRegion":"aws@ap-east-1","ping":125}|{"dstRegion":"aws@eu-central-1","ping":200}"
-      try {
-        const arrayOfObjects = cachedValue.split('|').map((x) => {
-          return JSON.parse(x);
-        });
-
-        const resultArray = [];
-
-        for (let i = 0; i < arrayOfObjects.length; i += 1) {
-          // filter out source region
-          if (arrayOfObjects[i].dstRegion !== srcRegionName) {
-            resultArray.push({
-              dstProvider: arrayOfObjects[i].dstRegion.split('@')[0],
-              dstRegion: arrayOfObjects[i].dstRegion.split('@')[1],
-              ping: arrayOfObjects[i].ping
-            });
-          }
-        }
-
-        console.log('logtag: d14efee8-d5f6-4e4d-97ed-b0130cd151fb', 'cache hit');
-        result = JSON.stringify(
-          {
-            data: resultArray
-          },
-          null,
-          2
-        );
-      } catch (error) {
-        console.error('logtag: a1a8b28e-cebe-4e4a-b243-98c08be77c53', error);
-        result = null;
-      }
-    } else {
-      console.log('logtag: 4d2e0d50-4794-49b3-99f9-87e7a14659cb', 'cache miss');
-    }
-  }
-
-  // Read From Data DB
-  // if skip reading from cache, or cache miss or there were errors while parsing the cached value, read from database eventually
-  if (!result) {
-    let lastEvaluatedKey = null;
-    let responseItemsArray = [];
-    const resultArray = [];
-
-    do {
-      const params = {
-        TableName: 'CloudHighwayOne',
-        ExpressionAttributeValues: {
-          ':source': srcRegionName
-        },
-        KeyConditionExpression: 'srcRegion = :source',
-        ProjectionExpression: 'dstRegion, ping'
-      };
-      const paramsToContinue = {
-        TableName: 'CloudHighwayOne',
-        ExpressionAttributeValues: {
-          ':source': srcRegionName
-        },
-        KeyConditionExpression: 'srcRegion = :source',
-        ProjectionExpression: 'dstRegion, ping',
-        ExclusiveStartKey: lastEvaluatedKey
-      };
-
-      let response;
-
-      try {
-        // suppress eslint warnings
-        // eslint-disable-next-line no-await-in-loop
-        response = await docClient.query(lastEvaluatedKey ? paramsToContinue : params).promise();
-      } catch (error) {
-        console.error('logtag: ff607da6-694f-448e-be23-01af1b0e0122', error);
-        return {
-          statusCode: 500,
-          body: JSON.stringify(
-            {
-              error: 'Internal Server Error'
-            },
-            null,
-            2
-          )
-        };
-      }
-
-      lastEvaluatedKey = response.LastEvaluatedKey;
-      /* Response format:
-          Items: [
-            { dstRegion: 'aws@us-west-1', ping: 45 },
-            { dstRegion: 'aws@ap-east-1', ping: 125 },
-            { dstRegion: 'aws@eu-central-1', ping: 200 }
-          ]
-      */
-      if (response.Items) {
-        responseItemsArray = responseItemsArray.concat(response.Items);
-        for (let i = 0; i < response.Items.length; i += 1) {
-          // filter out source region
-          if (response.Items[i].dstRegion !== srcRegionName) {
-            resultArray.push({
-              dstProvider: response.Items[i].dstRegion.split('@')[0],
-              dstRegion: response.Items[i].dstRegion.split('@')[1],
-              ping: response.Items[i].ping
-            });
-          }
-        }
-      }
-    } while (lastEvaluatedKey);
-
-    result = JSON.stringify(
-      {
-        data: resultArray
-      },
-      null,
-      2
-    );
+  const pickResult = (item) => {
+    return metric && metric !== 'ping'
+      ? pickHttpsMetric(item, metric, maxAgeMinutes)
+      : pickMeasurement(item, maxAgeMinutes);
+  };
 
-    if (result) {
-      try {
-        await writeToCacheAsync(cacheKey, responseItemsArray.map((x) => JSON.stringify(x)).join('|'));
-      } catch (error) {
-        console.error('logtag: bf5c31de-c44b-4f92-9008-b610c4b4f2dd', error);
-      }
-    }
+  let items;
+  try {
+    items = await getLatenciesFromSourceAsync(srcRegionName);
+  } catch (error) {
+    console.error('logtag: ff607da6-694f-448e-be23-01af1b0e0122', error);
+    return internalServerError();
   }
 
-  if (result) {
-    return {
-      statusCode: 200,
-      body: result
-    };
-  }
-  console.error('logtag: 9ceff11d-e448-4474-87b9-247d78077331', 'no result');
   return {
-    statusCode: 500,
+    statusCode: 200,
     body: JSON.stringify(
       {
-        error: 'Internal Server Error'
+        data: items
+          // filter out source region
+          .filter((x) => x.dstRegion !== srcRegionName)
+          .map((x) => {
+            return {
+              dstProvider: x.dstRegion.split('@')[0],
+              dstRegion: x.dstRegion.split('@')[1],
+              ...pickResult(x)
+            };
+          }),
+        missing: listMissingRegions(generateListOfAllRegionsExceptSelf(srcRegionName), items)
       },
       null,
       2
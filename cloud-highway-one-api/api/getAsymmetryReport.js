@@ -0,0 +1,101 @@
+const { MAX_DST_REGION_CANDIDATES, DEFAULT_ASYMMETRY_REPORT_LIMIT } = require('../constants');
+const { badRequest, internalServerError } = require('../errors');
+const {
+  checkMaxAgeMinutes,
+  checkLimit,
+  isStale,
+  getAllDataAsync,
+  PING_FIELDS,
+  createSymmetricPairs
+} = require('../helpers');
+
+/**
+ * GET method to list the pairs of regions with the largest difference between the latencies of the two directions
+ *
+ * A large asymmetry often points to a routing problem between the two regions.
+ *
+ * `limit` is optional: the number of pairs to list, up to 100, defaults to 20.
+ *
+ * Set the optional `maxAgeMinutes` to skip pairs with a direction measured longer ago than that. Unreachable directions are always skipped.
+ *
+ * Example query:
+ *
+ * /getAsymmetryReport?limit=10&maxAgeMinutes=60
+ *
+ * @param {*} event
+ * @returns the pairs of regions ordered by asymmetry (largest first). `asymmetry` is the absolute difference between the pings
+ * of the two directions and `asymmetryRatio` is the asymmetry relative to the mean ping. latency in milliseconds (keep the original accuracy)
+ *
+ * Example response (JSON):
+ *
+ * {
+ *   data: [
+ *     {
+ *       srcProvider: 'aws',
+ *       srcRegion: 'ap-south-1',
+ *       dstProvider: 'azure',
+ *       dstRegion: 'brazilsouth',
+ *       forwardPing: 301.2209,
+ *       reversePing: 342.0918,
+ *       meanPing: 321.65635,
+ *       asymmetry: 40.8709,
+ *       asymmetryRatio: 0.1270632
+ *     },
+ *     ...
+ *   ]
+ * }
+ *
+ */
+module.exports.getAsymmetryReport = async (event) => {
+  const { limit, maxAgeMinutes } = (event && event.queryStringParameters) || {};
+
+  const validationError = checkLimit('limit', limit, MAX_DST_REGION_CANDIDATES) || checkMaxAgeMinutes(maxAgeMinutes);
+  if (validationError) {
+    return badRequest(validationError);
+  }
+
+  let data;
+
+  try {
+    data = await getAllDataAsync(PING_FIELDS);
+  } catch (error) {
+    console.error('logtag: 3d8b6f21-9e47-4c5a-b0d3-7f2e1a6c9b58', error);
+    return internalServerError();
+  }
+
+  const usable = data.filter((x) => {
+    return (
+      (x.srcProvider !== x.dstProvider || x.srcRegion !== x.dstRegion) &&
+      x.reachable !== false &&
+      !(maxAgeMinutes && isStale(x.measuredAt, maxAgeMinutes))
+    );
+  });
+
+  const pairs = createSymmetricPairs(usable)
+    .filter((x) => x.asymmetry !== null)
+    .sort((a, b) => b.asymmetry - a.asymmetry)
+    .slice(0, limit ? Number(limit) : DEFAULT_ASYMMETRY_REPORT_LIMIT);
+
+  return {
+    statusCode: 200,
+    body: JSON.stringify(
+      {
+        data: pairs.map((x) => {
+          return {
+            srcProvider: x.srcProvider,
+            srcRegion: x.srcRegion,
+            dstProvider: x.dstProvider,
+            dstRegion: x.dstRegion,
+            forwardPing: x.forward.ping,
+            reversePing: x.reverse.ping,
+            meanPing: x.meanPing,
+            asymmetry: x.asymmetry,
+            asymmetryRatio: x.meanPing ? x.asymmetry / x.meanPing : null
+          };
+        })
+      },
+      null,
+      2
+    )
+  };
+};
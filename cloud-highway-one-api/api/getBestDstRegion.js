@@ -1,19 +1,29 @@
-const AWS = require('aws-sdk');
-const { REQUEST_TYPES } = require('../constants');
+const { getStorage } = require('cloud-highway-one-common');
+const { REQUEST_TYPES, MAX_DST_REGION_CANDIDATES } = require('../constants');
 const {
-  validateRegion,
-  validateCandidates,
+  checkRequired,
+  missingParameter,
+  notFound,
+  createErrorResponse,
+  badRequest,
+  internalServerError
+} = require('../errors');
+const {
+  checkSource,
+  checkCandidates,
   checkCacheAsync,
   writeToCacheAsync,
   createCacheKey,
-  generateListOfAllRegionsExceptSelf
+  generateListOfAllRegionsExceptSelf,
+  LATENCY_ATTRIBUTES,
+  batchGetAllLatenciesAsync,
+  listMissingRegions,
+  checkMaxAgeMinutes,
+  checkLimit,
+  rankDestinations
 } = require('../helpers');
 
-const docClient = new AWS.DynamoDB.DocumentClient({
-  region: 'us-west-2',
-  apiVersion: '2012-08-10',
-  sslEnabled: true
-});
+const storage = getStorage();
 
 /**
  * GET method to get the region with the lowest latency from a source region
@@ -24,36 +34,47 @@ const docClient = new AWS.DynamoDB.DocumentClient({
  *
  * Put one destination candidate in each `dstCandidate` query key.
  *
+ * Set the optional `maxAgeMinutes` to skip candidates measured longer ago than that.
+ *
+ * Set the optional `limit` to get the best N regions ordered by latency instead of the best one,
+ * e.g. to pick primary, secondary and tertiary regions with `limit=3`.
+ *
  * Example query:
  *
  * /getBestDstRegion?srcProvider=aws&srcRegion=us-west-2&dstCandidate=aws@us-west-1&dstCandidate=aws@ap-east-1&dstCandidate=aws@eu-central-1
  *
  * @param {*} event
- * @returns provider, region name and latency. latency in milliseconds (keep the original accuracy)
+ * @returns provider, region name, latency and measurement time. latency in milliseconds (keep the original accuracy).
+ * `missing` lists the candidates which have never been measured from the source region.
+ * 404 if no candidate has a usable measurement
  *
  * Example response (JSON):
  *
  * {
- *   result: { dstProvider: 'aws', dstRegion: 'us-west-2', ping: 60.0498 }
+ *   result: { dstProvider: 'aws', dstRegion: 'us-west-2', ping: 60.0498, measuredAt: '2020-08-01T00:00:00.512Z' },
+ *   missing: ['gcp@europe-west6']
+ * }
+ *
+ * Example response with `limit=2` (JSON), `gap` is the latency difference to the best region:
+ *
+ * {
+ *   results: [
+ *     { rank: 1, dstProvider: 'aws', dstRegion: 'us-west-1', ping: 21.0981, gap: 0, measuredAt: '2020-08-01T00:00:00.512Z' },
+ *     { rank: 2, dstProvider: 'aws', dstRegion: 'ap-east-1', ping: 143.9680204, gap: 122.8699204, measuredAt: '2020-08-01T00:00:00.512Z' }
+ *   ],
+ *   missing: []
  * }
  *
  */
 module.exports.getBestDestinationRegionFromSourceRegion = async (event) => {
   if (!event || !event.queryStringParameters) {
-    return {
-      statusCode: 400,
-      body: JSON.stringify(
-        {
-          error: 'Bad Request'
-        },
-        null,
-        2
-      )
-    };
+    return badRequest(missingParameter('srcProvider'));
   }
 
   const { srcProvider } = event.queryStringParameters;
   const { srcRegion } = event.queryStringParameters;
+  const { maxAgeMinutes } = event.queryStringParameters;
+  const { limit } = event.queryStringParameters;
   let { dstCandidate } = event.multiValueQueryStringParameters; // ["aws@us-west-1","aws@ap-east-1","aws@eu-central-1"]
   if (!dstCandidate) {
     // if there is only one candidate, we still do the check to get the ping although the request is pointless
@@ -62,25 +83,21 @@ module.exports.getBestDestinationRegionFromSourceRegion = async (event) => {
       dstCandidate = [candidateFromSingleQueryParameter];
     }
   }
-  if (!srcProvider || !srcRegion || !validateRegion(srcProvider, srcRegion) || !validateCandidates(dstCandidate)) {
-    return {
-      statusCode: 400,
-      body: JSON.stringify(
-        {
-          error: 'Bad Request'
-        },
-        null,
-        2
-      )
-    };
+  const validationError =
+    checkRequired({ srcProvider, srcRegion }) ||
+    checkSource(srcProvider, srcRegion) ||
+    checkCandidates('dstCandidate', dstCandidate) ||
+    checkMaxAgeMinutes(maxAgeMinutes) ||
+    checkLimit('limit', limit, MAX_DST_REGION_CANDIDATES);
+  if (validationError) {
+    return badRequest(validationError);
   }
 
   const srcRegionName = `${srcProvider.toLowerCase()}@${srcRegion.toLowerCase()}`;
 
   let cacheKey;
   let cachedValue;
-  let result;
-  let resultPing;
+  let items = null;
   let checkAgainstAll;
 
   // Read From Cache DB
@@ -104,28 +121,14 @@ module.exports.getBestDestinationRegionFromSourceRegion = async (event) => {
       if (cachedValue) {
         // expect cache value to be a string in format: "{"dstRegion":"aws@us-west-1","ping":45}|{"dstRegion":"aws@ap-east-1","ping":125}|{"dstRegion":"aws@eu-central-1","ping":200}"
         try {
-          const arrayOfObjects = cachedValue.split('|').map((x) => {
+          items = cachedValue.split('|').map((x) => {
             return JSON.parse(x);
           });
 
-          let minPing = Number.MAX_VALUE;
-          let regionOfMinPing = null;
-
-          for (let i = 0; i < arrayOfObjects.length; i += 1) {
-            // filter out source region
-            if (arrayOfObjects[i].dstRegion !== srcRegionName && Number(arrayOfObjects[i].ping) < minPing) {
-              minPing = Number(arrayOfObjects[i].ping);
-              regionOfMinPing = arrayOfObjects[i].dstRegion;
-            }
-          }
-
           console.log('logtag: 9381def7-3884-41ed-b884-8cba52d95f3c', 'cache hit');
-          result = regionOfMinPing;
-          resultPing = minPing;
         } catch (error) {
           console.error('logtag: 2321e41c-a98e-4bed-838a-6504ebc01996', error);
-          result = null;
-          resultPing = null;
+          items = null;
         }
       } else {
         console.log('logtag: fd085227-bf14-4c6a-aeb5-003d3a18ba07', 'cache miss');
@@ -135,150 +138,55 @@ module.exports.getBestDestinationRegionFromSourceRegion = async (event) => {
 
   // Read From Data DB
   // if skip reading from cache, or cache miss or there were errors while parsing the cached value, read from database eventually
-  if (!result) {
+  if (!items) {
     if (!checkAgainstAll) {
-      // for requests with specified candidate regions, use batchGet to get from database. batchGet has a limitation of 100 items
-      const params = {
-        RequestItems: {
-          CloudHighwayOne: {
-            // this is the table name
-            Keys: dstCandidate.map((candidate) => {
-              return {
-                srcRegion: srcRegionName,
-                dstRegion: candidate.toLowerCase()
-              };
-            }),
-            ProjectionExpression: 'dstRegion, ping'
-          }
-        }
-      };
-      let response;
+      // for requests with specified candidate regions, use batchGet to get from database.
+      // keys left unprocessed are retried, and the request fails if some are still left: the best of a partial set is not the best
       try {
-        response = await docClient.batchGet(params).promise();
+        items = await batchGetAllLatenciesAsync(
+          // batchGet does not accept duplicate keys
+          [...new Set(dstCandidate.map((x) => x.toLowerCase()))].map((candidate) => {
+            return {
+              srcRegion: srcRegionName,
+              dstRegion: candidate
+            };
+          }),
+          LATENCY_ATTRIBUTES
+        );
       } catch (error) {
         console.error('logtag: b1870162-b567-49ad-9862-3033b4e0f86e', error);
-        return {
-          statusCode: 500,
-          body: JSON.stringify(
-            {
-              error: 'Internal Server Error'
-            },
-            null,
-            2
-          )
-        };
+        return internalServerError();
       }
-      /* Response format:
-        Responses: {
-          CloudHighwayOne: [
+      /* Items format:
+          [
             { dstRegion: 'aws@us-west-1', ping: 45 },
             { dstRegion: 'aws@ap-east-1', ping: 125 },
             { dstRegion: 'aws@eu-central-1', ping: 200 }
           ]
-        }
-    */
-      if (response.Responses.CloudHighwayOne) {
-        let minPing = Number.MAX_VALUE;
-        let regionOfMinPing = null;
-
-        for (let i = 0; i < response.Responses.CloudHighwayOne.length; i += 1) {
-          // source region should not be filtered out from results if it is explicitly set in dstCandidate
-          if (Number(response.Responses.CloudHighwayOne[i].ping) < minPing) {
-            minPing = Number(response.Responses.CloudHighwayOne[i].ping);
-            regionOfMinPing = response.Responses.CloudHighwayOne[i].dstRegion;
-          }
-        }
-
-        result = regionOfMinPing;
-        resultPing = minPing;
-
-        if (result && dstCandidate.length > 5) {
-          // if there is a valid result, save the **original database response** to cache,
-          // do not cache the result directly since other requests may share the same latency responses
-          // convert response to format: "{"dstRegion":"aws@us-west-1","ping":45}|{"dstRegion":"aws@ap-east-1","ping":125}|{"dstRegion":"aws@eu-central-1","ping":200}"
-          try {
-            await writeToCacheAsync(
-              cacheKey,
-              response.Responses.CloudHighwayOne.map((x) => JSON.stringify(x)).join('|')
-            );
-          } catch (error) {
-            console.error('logtag: ca877150-9fad-46db-a27e-f637ba18f434', error);
-          }
+      */
+      if (items.length && dstCandidate.length > 5) {
+        // if there is a valid result, save the **original database response** to cache,
+        // do not cache the result directly since other requests may share the same latency responses
+        // convert response to format: "{"dstRegion":"aws@us-west-1","ping":45}|{"dstRegion":"aws@ap-east-1","ping":125}|{"dstRegion":"aws@eu-central-1","ping":200}"
+        try {
+          await writeToCacheAsync(cacheKey, items.map((x) => JSON.stringify(x)).join('|'));
+        } catch (error) {
+          console.error('logtag: ca877150-9fad-46db-a27e-f637ba18f434', error);
         }
       }
     } else {
       // if no destination regions specified, check against all other regions except source region itself
       // query is a better choice in this case
-      let minPing = Number.MAX_VALUE;
-      let regionOfMinPing = null;
-      let lastEvaluatedKey = null;
-      let responseItemsArray = [];
-
-      do {
-        const params = {
-          TableName: 'CloudHighwayOne',
-          ExpressionAttributeValues: {
-            ':source': srcRegionName
-          },
-          KeyConditionExpression: 'srcRegion = :source',
-          ProjectionExpression: 'dstRegion, ping'
-        };
-        const paramsToContinue = {
-          TableName: 'CloudHighwayOne',
-          ExpressionAttributeValues: {
-            ':source': srcRegionName
-          },
-          KeyConditionExpression: 'srcRegion = :source',
-          ProjectionExpression: 'dstRegion, ping',
-          ExclusiveStartKey: lastEvaluatedKey
-        };
-
-        let response;
-
-        try {
-          // suppress eslint warnings
-          // eslint-disable-next-line no-await-in-loop
-          response = await docClient.query(lastEvaluatedKey ? paramsToContinue : params).promise();
-        } catch (error) {
-          console.error('logtag: 38fcf762-a941-4334-8199-6bbe03f62e05', error);
-          return {
-            statusCode: 500,
-            body: JSON.stringify(
-              {
-                error: 'Internal Server Error'
-              },
-              null,
-              2
-            )
-          };
-        }
-
-        lastEvaluatedKey = response.LastEvaluatedKey;
-        /* Response format:
-          Items: [
-            { dstRegion: 'aws@us-west-1', ping: 45 },
-            { dstRegion: 'aws@ap-east-1', ping: 125 },
-            { dstRegion: 'aws@eu-central-1', ping: 200 }
-          ]
-        */
-        if (response.Items) {
-          responseItemsArray = responseItemsArray.concat(response.Items);
-          for (let i = 0; i < response.Items.length; i += 1) {
-            // filter out source region
-            if (response.Items[i].dstRegion !== srcRegionName && Number(response.Items[i].ping) < minPing) {
-              minPing = Number(response.Items[i].ping);
-              regionOfMinPing = response.Items[i].dstRegion;
-            }
-          }
-        }
-      } while (lastEvaluatedKey);
-
-      result = regionOfMinPing;
-      resultPing = minPing;
+      try {
+        ({ items } = await storage.querySource(srcRegionName, { attributes: LATENCY_ATTRIBUTES }));
+      } catch (error) {
+        console.error('logtag: 38fcf762-a941-4334-8199-6bbe03f62e05', error);
+        return internalServerError();
+      }
 
-      if (result) {
+      if (items.length) {
         try {
-          await writeToCacheAsync(cacheKey, responseItemsArray.map((x) => JSON.stringify(x)).join('|'));
+          await writeToCacheAsync(cacheKey, items.map((x) => JSON.stringify(x)).join('|'));
         } catch (error) {
           console.error('logtag: 3415871b-d434-43e9-89a4-27b6550cfb58', error);
         }
@@ -286,30 +194,62 @@ module.exports.getBestDestinationRegionFromSourceRegion = async (event) => {
     }
   }
 
-  const returnResult = JSON.stringify(
-    {
-      result: {
-        dstProvider: result.split('@')[0],
-        dstRegion: result.split('@')[1],
-        ping: resultPing
-      }
-    },
-    null,
-    2
-  );
+  // filter out source region when checking against all regions,
+  // but not if it is explicitly set in dstCandidate
+  const ranking = rankDestinations(items, {
+    excludedRegion: checkAgainstAll ? srcRegionName : undefined,
+    maxAgeMinutes
+  });
+  // candidates which have never been measured from the source region
+  const missing = listMissingRegions(dstCandidate, items);
 
-  if (result) {
+  if (!ranking.length) {
+    return createErrorResponse(
+      404,
+      notFound(
+        `No ${
+          maxAgeMinutes ? 'fresh ' : ''
+        }latency from "${srcRegionName}" to any reachable candidate has been measured yet`
+      )
+    );
+  }
+
+  if (limit) {
+    const bestPing = Number(ranking[0].ping);
     return {
       statusCode: 200,
-      body: returnResult
+      body: JSON.stringify(
+        {
+          results: ranking.slice(0, Number(limit)).map((x, i) => {
+            return {
+              rank: i + 1,
+              dstProvider: x.dstRegion.split('@')[0],
+              dstRegion: x.dstRegion.split('@')[1],
+              ping: Number(x.ping),
+              gap: Number(x.ping) - bestPing,
+              measuredAt: x.measuredAt || null
+            };
+          }),
+          missing
+        },
+        null,
+        2
+      )
     };
   }
-  console.error('logtag: 3312da6e-262f-4e8a-8562-bedfc7332dce', 'no result');
+
+  const result = ranking[0];
   return {
-    statusCode: 500,
+    statusCode: 200,
     body: JSON.stringify(
       {
-        error: 'Internal Server Error'
+        result: {
+          dstProvider: result.dstRegion.split('@')[0],
+          dstRegion: result.dstRegion.split('@')[1],
+          ping: Number(result.ping),
+          measuredAt: result.measuredAt || null
+        },
+        missing
       },
       null,
       2
@@ -0,0 +1,176 @@
+const { MAX_SRC_REGIONS, MEETING_POINT_OBJECTIVES } = require('../constants');
+const {
+  checkRequired,
+  checkParameter,
+  missingParameter,
+  tooManyValues,
+  notFound,
+  createErrorResponse,
+  badRequest,
+  internalServerError
+} = require('../errors');
+const {
+  checkSources,
+  checkCandidates,
+  checkMaxAgeMinutes,
+  getMultiValueParameter,
+  getLatenciesFromSourceAsync,
+  rankDestinations
+} = require('../helpers');
+
+/**
+ * Calculate the score of a destination region, lower is better
+ *
+ * @param {*} pings latency from each source region, in the same order as the sources
+ * @param {*} objective one of "max", "mean" and "weighted"
+ * @param {*} weights traffic weight of each source region, only used by the "weighted" objective
+ * @returns score in milliseconds
+ */
+const calculateScore = (pings, objective, weights) => {
+  if (objective === 'mean') {
+    return pings.reduce((sum, x) => sum + x, 0) / pings.length;
+  }
+  if (objective === 'weighted') {
+    return pings.reduce((sum, x, i) => sum + x * weights[i], 0);
+  }
+  return Math.max(...pings);
+};
+
+/**
+ * GET method to get the destination region which serves multiple source regions best, e.g. to place a shared service
+ *
+ * Put one source region in each `src` query key, up to 10 source regions. Use `@` to join provider name and region name, e.g. `aws@us-west-2`.
+ *
+ * Destination candidates are optional, same as getBestDstRegion. If no candidates specified, it will check against all regions
+ * except the source regions themselves, which would win on their own self-ping. List them as candidates to consider them.
+ *
+ * `objective` decides what is minimised:
+ * - `max` (default): the highest latency from any of the source regions
+ * - `mean`: the mean latency from the source regions
+ * - `weighted`: the sum of the latencies from the source regions multiplied by their traffic weights.
+ *   Put one weight in each `weight` query key, in the same order as the source regions, e.g. `weight=3&weight=1`
+ *
+ * Set the optional `maxAgeMinutes` to skip latencies measured longer ago than that.
+ * A destination region is only considered if its latency from every source region is known.
+ *
+ * Example query:
+ *
+ * /getBestMeetingPoint?src=aws@us-west-2&src=aws@eu-west-1&src=aws@ap-northeast-1&objective=weighted&weight=5&weight=3&weight=1
+ *
+ * @param {*} event
+ * @returns the objective, provider and region name of the best destination, its score and its latency from each source region.
+ * latency in milliseconds (keep the original accuracy). 404 if no candidate has a usable latency from every source region
+ *
+ * Example response (JSON):
+ *
+ * {
+ *   objective: 'weighted',
+ *   result: {
+ *     dstProvider: 'aws',
+ *     dstRegion: 'us-east-1',
+ *     score: 832.8813,
+ *     latencies: [
+ *       { srcProvider: 'aws', srcRegion: 'us-west-2', ping: 67.0121 },
+ *       { srcProvider: 'aws', srcRegion: 'eu-west-1', ping: 70.0998 },
+ *       { srcProvider: 'aws', srcRegion: 'ap-northeast-1', ping: 287.5214 }
+ *     ]
+ *   }
+ * }
+ *
+ */
+module.exports.getBestMeetingPoint = async (event) => {
+  if (!event || !event.queryStringParameters) {
+    return badRequest(missingParameter('src'));
+  }
+
+  const { maxAgeMinutes } = event.queryStringParameters;
+  const objective = event.queryStringParameters.objective || 'max';
+  const src = getMultiValueParameter(event, 'src');
+  const dstCandidate = getMultiValueParameter(event, 'dstCandidate');
+  const weight = getMultiValueParameter(event, 'weight');
+
+  const validationError =
+    checkRequired({ src }) ||
+    (src.length > MAX_SRC_REGIONS && tooManyValues('src', MAX_SRC_REGIONS)) ||
+    checkSources('src', src) ||
+    checkCandidates('dstCandidate', dstCandidate) ||
+    checkMaxAgeMinutes(maxAgeMinutes) ||
+    checkParameter('objective', MEETING_POINT_OBJECTIVES.includes(objective), 'must be one of the allowed values', {
+      allowedValues: MEETING_POINT_OBJECTIVES,
+      value: objective
+    }) ||
+    (objective === 'weighted' &&
+      (checkRequired({ weight }) ||
+        checkParameter('weight', weight.length === src.length, 'must be repeated once for every "src"') ||
+        checkParameter(
+          'weight',
+          weight.every((x) => /^\d+(\.\d+)?$/.test(x)) && weight.some((x) => Number(x) > 0),
+          'must be non-negative numbers, at least one of them positive'
+        )));
+  if (validationError) {
+    return badRequest(validationError);
+  }
+
+  const srcRegionNames = src.map((x) => x.toLowerCase());
+  const weights = objective === 'weighted' ? weight.map((x) => Number(x)) : null;
+
+  let latencies;
+  try {
+    latencies = await Promise.all(
+      srcRegionNames.map(async (srcRegionName) => {
+        const items = await getLatenciesFromSourceAsync(srcRegionName, dstCandidate);
+        // only keep usable measurements: reachable, not stale and with a ping
+        const pings = {};
+        rankDestinations(items, { maxAgeMinutes }).forEach((x) => {
+          pings[x.dstRegion] = Number(x.ping);
+        });
+        return pings;
+      })
+    );
+  } catch (error) {
+    console.error('logtag: 8e2d5a41-c7f3-4b9e-a06d-13f4b7e9c2d8', error);
+    return internalServerError();
+  }
+
+  let result = null;
+  Object.keys(latencies[0]).forEach((dstRegionName) => {
+    if (!dstCandidate && srcRegionNames.includes(dstRegionName)) {
+      return;
+    }
+    if (!latencies.every((x) => x[dstRegionName] !== undefined)) {
+      return;
+    }
+    const pings = latencies.map((x) => x[dstRegionName]);
+    const score = calculateScore(pings, objective, weights);
+    if (!result || score < result.score) {
+      result = { dstRegionName, score, pings };
+    }
+  });
+
+  if (result) {
+    return {
+      statusCode: 200,
+      body: JSON.stringify(
+        {
+          objective,
+          result: {
+            dstProvider: result.dstRegionName.split('@')[0],
+            dstRegion: result.dstRegionName.split('@')[1],
+            score: result.score,
+            latencies: srcRegionNames.map((x, i) => {
+              return {
+                srcProvider: x.split('@')[0],
+                srcRegion: x.split('@')[1],
+                ping: result.pings[i]
+              };
+            })
+          }
+        },
+        null,
+        2
+      )
+    };
+  }
+  console.error('logtag: 1f6c9b30-4e8a-4d27-b5f2-9a0e7c3d6b14', 'no result');
+  return createErrorResponse(404, notFound('No candidate has a usable latency from every source region'));
+};
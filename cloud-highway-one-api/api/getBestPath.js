@@ -0,0 +1,154 @@
+const { DEFAULT_MAX_HOPS, MAX_HOPS } = require('../constants');
+const { checkRequired, badRequest, internalServerError } = require('../errors');
+const {
+  checkSource,
+  checkRegion,
+  checkMaxAgeMinutes,
+  checkLimit,
+  isStale,
+  getAllDataAsync,
+  PING_FIELDS
+} = require('../helpers');
+
+/**
+ * Extend the best known paths by one more hop
+ *
+ * @param {*} best best known path to each region, e.g. { 'aws@af-south-1': { totalPing: 0, hops: [] }, ... }
+ * @param {*} edges measured routes
+ * @returns the best known path to each region with up to one more hop
+ */
+const extendPaths = (best, edges) => {
+  const next = { ...best };
+  edges.forEach((edge) => {
+    const from = best[`${edge.srcProvider}@${edge.srcRegion}`];
+    const to = `${edge.dstProvider}@${edge.dstRegion}`;
+    if (from && (!next[to] || from.totalPing + edge.ping < next[to].totalPing)) {
+      next[to] = { totalPing: from.totalPing + edge.ping, hops: [...from.hops, edge] };
+    }
+  });
+  return next;
+};
+
+/**
+ * Find the path with the lowest total latency from a source region to a destination region
+ *
+ * Runs a shortest-path search (Bellman-Ford bounded to `maxHops` rounds) so that a path never has more hops than allowed.
+ *
+ * @param {*} edges measured routes, e.g. [{ srcProvider: 'aws', srcRegion: 'us-west-2', dstProvider: 'aws', dstRegion: 'ap-east-1', ping: 125.74213, ... }, ...]
+ * @param {*} srcRegionName e.g. "aws@af-south-1"
+ * @param {*} dstRegionName e.g. "aws@us-east-1"
+ * @param {*} maxHops maximum number of hops
+ * @returns { totalPing, hops: [edge, ...] } or null if the destination cannot be reached within `maxHops` hops
+ */
+const findShortestPath = (edges, srcRegionName, dstRegionName, maxHops) => {
+  let best = {
+    [srcRegionName]: { totalPing: 0, hops: [] }
+  };
+  for (let round = 0; round < maxHops; round += 1) {
+    best = extendPaths(best, edges);
+  }
+  return best[dstRegionName] || null;
+};
+
+/**
+ * GET method to get the path with the lowest latency from source region to destination region, relaying through other regions
+ *
+ * Relaying through an intermediate region can beat the direct route, e.g. af-south-1 -> eu-west-1 -> us-east-1.
+ * The search runs over the latest latencies between all regions.
+ *
+ * `maxHops` is optional: the maximum number of hops of the path, from 1 (direct route only) to 4, defaults to 2 (at most one relay region).
+ *
+ * Set the optional `maxAgeMinutes` to skip routes measured longer ago than that. Unreachable routes are always skipped.
+ *
+ * Example query:
+ *
+ * /getBestPath?srcProvider=aws&srcRegion=af-south-1&dstProvider=aws&dstRegion=us-east-1&maxHops=3
+ *
+ * @param {*} event
+ * @returns the hops of the best path with their latencies, the total latency of the path and the latency of the direct route.
+ * `path` is null if the destination cannot be reached within `maxHops` hops, `direct` is null if the direct route has not been measured.
+ * latency in milliseconds (keep the original accuracy)
+ *
+ * Example response (JSON):
+ *
+ * {
+ *   path: {
+ *     totalPing: 226.0187,
+ *     hops: [
+ *       { srcProvider: 'aws', srcRegion: 'af-south-1', dstProvider: 'aws', dstRegion: 'eu-west-1', ping: 155.9012, measuredAt: '2020-08-01T00:00:00.512Z' },
+ *       { srcProvider: 'aws', srcRegion: 'eu-west-1', dstProvider: 'aws', dstRegion: 'us-east-1', ping: 70.1175, measuredAt: '2020-08-01T00:00:00.498Z' }
+ *     ]
+ *   },
+ *   direct: { ping: 233.4409, measuredAt: '2020-08-01T00:00:00.512Z' }
+ * }
+ *
+ */
+module.exports.getBestPath = async (event) => {
+  const parameters = (event && event.queryStringParameters) || {};
+
+  const { srcProvider } = parameters;
+  const { srcRegion } = parameters;
+  const { dstProvider } = parameters;
+  const { dstRegion } = parameters;
+  const { maxHops } = parameters;
+  const { maxAgeMinutes } = parameters;
+
+  const validationError =
+    checkRequired({ srcProvider, srcRegion, dstProvider, dstRegion }) ||
+    checkSource(srcProvider, srcRegion) ||
+    checkRegion('dst', dstProvider, dstRegion) ||
+    checkLimit('maxHops', maxHops, MAX_HOPS) ||
+    checkMaxAgeMinutes(maxAgeMinutes);
+  if (validationError) {
+    return badRequest(validationError);
+  }
+
+  const srcRegionName = `${srcProvider.toLowerCase()}@${srcRegion.toLowerCase()}`;
+  const dstRegionName = `${dstProvider.toLowerCase()}@${dstRegion.toLowerCase()}`;
+
+  let data;
+
+  try {
+    data = await getAllDataAsync(PING_FIELDS);
+  } catch (error) {
+    console.error('logtag: 4a9d1e62-0b3f-4c85-a7e1-6d2f8b5c3e90', error);
+    return internalServerError();
+  }
+
+  const edges = data
+    .filter((x) => {
+      return (
+        (x.srcProvider !== x.dstProvider || x.srcRegion !== x.dstRegion) &&
+        typeof x.ping === 'number' &&
+        x.reachable !== false &&
+        !(maxAgeMinutes && isStale(x.measuredAt, maxAgeMinutes))
+      );
+    })
+    .map((x) => {
+      return {
+        srcProvider: x.srcProvider,
+        srcRegion: x.srcRegion,
+        dstProvider: x.dstProvider,
+        dstRegion: x.dstRegion,
+        ping: x.ping,
+        measuredAt: x.measuredAt
+      };
+    });
+
+  const path = findShortestPath(edges, srcRegionName, dstRegionName, maxHops ? Number(maxHops) : DEFAULT_MAX_HOPS);
+  const direct = edges.find(
+    (x) => `${x.srcProvider}@${x.srcRegion}` === srcRegionName && `${x.dstProvider}@${x.dstRegion}` === dstRegionName
+  );
+
+  return {
+    statusCode: 200,
+    body: JSON.stringify(
+      {
+        path,
+        direct: direct ? { ping: direct.ping, measuredAt: direct.measuredAt } : null
+      },
+      null,
+      2
+    )
+  };
+};
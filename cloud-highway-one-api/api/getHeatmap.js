@@ -0,0 +1,197 @@
+const { getRegion } = require('cloud-highway-one-common');
+const { badRequest, internalServerError } = require('../errors');
+const {
+  checkProvider,
+  checkContinent,
+  checkCandidates,
+  checkMaxAgeMinutes,
+  getMultiValueParameter,
+  getAllDataAsync,
+  PING_FIELDS,
+  createLatencyMatrix
+} = require('../helpers');
+
+const CELL_SIZE = 14;
+const FONT_SIZE = 10;
+// width of a character relative to the font size, generous for sans-serif fonts so that labels are not clipped
+const CHARACTER_WIDTH_RATIO = 0.62;
+// space between a label and the grid
+const LABEL_PADDING = 8;
+const AXES_TITLE = 'source → destination';
+const LEGEND_HEIGHT = 60;
+const MARGIN = 10;
+// green (fast) -> yellow -> red (slow)
+const COLOUR_STOPS = [
+  [26, 152, 80],
+  [254, 224, 139],
+  [215, 48, 39]
+];
+const MISSING_COLOUR = '#d9d9d9';
+
+/**
+ * Escape text for SVG
+ *
+ * @param {*} text e.g. "aws@us-west-2"
+ * @returns escaped text
+ */
+const escapeXml = (text) => {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+};
+
+/**
+ * Pick the colour of a ping on the colour scale
+ *
+ * @param {*} ratio position of the ping between the lowest (0) and the highest ping (1)
+ * @returns CSS colour, e.g. "rgb(26,152,80)"
+ */
+const pickColour = (ratio) => {
+  const position = Math.min(Math.max(ratio, 0), 1) * (COLOUR_STOPS.length - 1);
+  const index = Math.min(Math.floor(position), COLOUR_STOPS.length - 2);
+  const weight = position - index;
+  const colour = COLOUR_STOPS[index].map((x, i) => Math.round(x + (COLOUR_STOPS[index + 1][i] - x) * weight));
+  return `rgb(${colour.join(',')})`;
+};
+
+/**
+ * Render a latency matrix as an SVG heatmap
+ *
+ * @param {*} matrix see createLatencyMatrix, e.g. { regions: ['aws@ap-east-1', 'aws@us-west-2'], pings: [[1.0213, 125.9981], [125.74213, null]] }
+ * @returns SVG document string. Rows are source regions, columns are destination regions
+ */
+const renderHeatmap = ({ regions, pings }) => {
+  const values = [].concat(...pings).filter((x) => x !== null);
+  const min = values.length ? Math.min(...values) : 0;
+  const max = values.length ? Math.max(...values) : 0;
+  const range = max - min || 1;
+
+  // the labels of the rows and the columns take the width of the longest one, the axes title is in the same column
+  const longestLabel = Math.max(AXES_TITLE.length, ...regions.map((x) => x.length));
+  const labelWidth = Math.ceil(longestLabel * FONT_SIZE * CHARACTER_WIDTH_RATIO) + LABEL_PADDING;
+
+  const gridSize = regions.length * CELL_SIZE;
+  const width = MARGIN * 2 + labelWidth + gridSize;
+  const height = MARGIN * 2 + labelWidth + gridSize + LEGEND_HEIGHT;
+  const gridX = MARGIN + labelWidth;
+  const gridY = MARGIN + labelWidth;
+
+  const elements = [];
+
+  // axes: source regions on the left, destination regions on the top
+  regions.forEach((x, i) => {
+    const rowY = gridY + i * CELL_SIZE + CELL_SIZE / 2;
+    const columnX = gridX + i * CELL_SIZE + CELL_SIZE / 2;
+    const columnY = gridY - 4;
+    const name = escapeXml(x);
+    elements.push(`<text x="${gridX - 4}" y="${rowY}" text-anchor="end" dominant-baseline="middle">${name}</text>`);
+    elements.push(
+      `<text x="${columnX}" y="${columnY}" transform="rotate(-90 ${columnX} ${columnY})" dominant-baseline="middle">${name}</text>`
+    );
+  });
+
+  // cells, with a tooltip of the exact ping
+  pings.forEach((row, i) => {
+    row.forEach((ping, j) => {
+      const fill = ping === null ? MISSING_COLOUR : pickColour((ping - min) / range);
+      const title = escapeXml(`${regions[i]} → ${regions[j]}: ${ping === null ? 'no data' : `${ping.toFixed(1)} ms`}`);
+      const x = gridX + j * CELL_SIZE;
+      const y = gridY + i * CELL_SIZE;
+      elements.push(
+        `<rect x="${x}" y="${y}" width="${CELL_SIZE}" height="${CELL_SIZE}" fill="${fill}"><title>${title}</title></rect>`
+      );
+    });
+  });
+
+  // legend: colour scale from the lowest to the highest ping, and the colour of missing pairs
+  const legendY = gridY + gridSize + 20;
+  const legendWidth = Math.max(Math.min(gridSize, 300), 150);
+  elements.push(
+    `<defs><linearGradient id="scale">${COLOUR_STOPS.map((x, i) => {
+      return `<stop offset="${i / (COLOUR_STOPS.length - 1)}" stop-color="rgb(${x.join(',')})"/>`;
+    }).join('')}</linearGradient></defs>`
+  );
+  elements.push(`<rect x="${gridX}" y="${legendY}" width="${legendWidth}" height="${CELL_SIZE}" fill="url(#scale)"/>`);
+  elements.push(`<text x="${gridX}" y="${legendY + CELL_SIZE + 12}">${min.toFixed(1)} ms</text>`);
+  elements.push(
+    `<text x="${gridX + legendWidth}" y="${legendY + CELL_SIZE + 12}" text-anchor="end">${max.toFixed(1)} ms</text>`
+  );
+  const missingX = gridX + legendWidth + 20;
+  const labelY = legendY + CELL_SIZE / 2;
+  elements.push(
+    `<rect x="${missingX}" y="${legendY}" width="${CELL_SIZE}" height="${CELL_SIZE}" fill="${MISSING_COLOUR}"/>`
+  );
+  elements.push(`<text x="${missingX + CELL_SIZE + 4}" y="${labelY}" dominant-baseline="middle">no data</text>`);
+  elements.push(`<text x="${MARGIN}" y="${labelY}" dominant-baseline="middle">${AXES_TITLE}</text>`);
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="sans-serif" font-size="${FONT_SIZE}">`,
+    `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+    ...elements,
+    '</svg>',
+    ''
+  ].join('\n');
+};
+
+/**
+ * GET method to render the latencies between regions as an SVG heatmap
+ *
+ * Rows are source regions and columns are destination regions, sorted by region name. The colour goes from green (lowest ping)
+ * through yellow to red (highest ping), pairs without data are grey. Hover a cell to see its ping.
+ *
+ * All parameters are optional. By default all supported regions are rendered, which is a large image:
+ * - `region`: only render these regions, use `@` to join provider name and region name, e.g. `aws@us-west-2`. Can be repeated for up to 100 times
+ * - `provider`: only render the regions of a provider, e.g. `aws`
+ * - `continent`: only render the regions on a continent, same as listRegions
+ * - `maxAgeMinutes`: leave out the pairs measured longer ago than that
+ *
+ * Uses the same data and cache as getAllData.
+ *
+ * Example query:
+ *
+ * /getHeatmap?provider=aws&continent=europe
+ *
+ * @param {*} event
+ * @returns SVG image (Content-Type: image/svg+xml)
+ */
+module.exports.getHeatmap = async (event) => {
+  const { provider, continent, maxAgeMinutes } = (event && event.queryStringParameters) || {};
+  const region = event ? getMultiValueParameter(event, 'region') : undefined;
+
+  const validationError =
+    checkCandidates('region', region) ||
+    (provider && checkProvider('provider', provider)) ||
+    (continent && checkContinent(continent)) ||
+    checkMaxAgeMinutes(maxAgeMinutes);
+  if (validationError) {
+    return badRequest(validationError);
+  }
+
+  let data;
+
+  try {
+    data = await getAllDataAsync(PING_FIELDS);
+  } catch (error) {
+    console.error('logtag: 5e2a8c47-1d93-4f6b-a0e8-9c3b7d1f2a64', error);
+    return internalServerError();
+  }
+
+  let matrix = createLatencyMatrix(data, { maxAgeMinutes, regions: region });
+  if (provider || continent) {
+    const regions = matrix.regions.filter((x) => {
+      const entry = getRegion(x);
+      return (
+        entry &&
+        (!provider || entry.provider === provider.toLowerCase()) &&
+        (!continent || entry.continent === continent.toLowerCase())
+      );
+    });
+    matrix = createLatencyMatrix(data, { maxAgeMinutes, regions });
+  }
+
+  return {
+    statusCode: 200,
+    headers: {
+      'Content-Type': 'image/svg+xml'
+    },
+    body: renderHeatmap(matrix)
+  };
+};
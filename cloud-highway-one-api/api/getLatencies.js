@@ -0,0 +1,144 @@
+const { getStorage } = require('cloud-highway-one-common');
+const { MAX_BATCH_PAIRS } = require('../constants');
+const {
+  checkRequired,
+  invalidParameter,
+  invalidBody,
+  tooManyValues,
+  notFound,
+  internalError,
+  badRequest,
+  internalServerError
+} = require('../errors');
+const { checkSources, checkCandidate, checkMaxAgeMinutes, pickMeasurement, LATENCY_ATTRIBUTES } = require('../helpers');
+
+const storage = getStorage();
+
+/**
+ * Parse the JSON body of a request
+ *
+ * @param {*} event
+ * @returns the parsed body or null if it is missing or invalid
+ */
+const parseBody = (event) => {
+  if (!event || !event.body) {
+    return null;
+  }
+  try {
+    return JSON.parse(event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString() : event.body);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * POST method to get the latencies of up to 100 source -> destination pairs in one request
+ *
+ * Use `@` to join provider name and region name, e.g. `aws@us-west-2`. The pairs are read with a single batchGet.
+ *
+ * Set the optional `maxAgeMinutes` query parameter to flag each result with `stale: true` if it was measured longer ago than that.
+ *
+ * Example request body (JSON):
+ *
+ * {
+ *   pairs: [
+ *     { src: 'aws@us-west-2', dst: 'aws@ap-east-1' },
+ *     { src: 'aws@us-west-2', dst: 'gcp@asia-east1' },
+ *     ...
+ *   ]
+ * }
+ *
+ * @param {*} event
+ * @returns one result per pair, in the same order as the request. A result has the latency statistics (see getLatency),
+ * or an `error` if the pair is invalid (e.g. "UNKNOWN_REGION"), has not been measured ("NOT_FOUND") or could not be read ("INTERNAL_ERROR"), see errors.js.
+ * latency in milliseconds (keep the original accuracy)
+ *
+ * Example response (JSON):
+ *
+ * {
+ *   data: [
+ *     { src: 'aws@us-west-2', dst: 'aws@ap-east-1', ping: 143.9680204, minPing: 143.1021987, ..., measuredAt: '2020-08-01T00:00:00.512Z', reachable: true },
+ *     { src: 'aws@us-west-2', dst: 'gcp@asia-east9', error: { code: 'UNKNOWN_REGION', message: 'Unknown region "gcp@asia-east9". Did you mean "gcp@asia-east1"?', field: 'pairs[1].dst', ... } },
+ *     ...
+ *   ]
+ * }
+ *
+ */
+module.exports.getLatencies = async (event) => {
+  const body = parseBody(event);
+  const { maxAgeMinutes } = (event && event.queryStringParameters) || {};
+
+  const validationError =
+    (!body && invalidBody('must be JSON')) ||
+    (!Array.isArray(body.pairs) && invalidBody('"pairs" must be a list of source -> destination pairs', 'pairs')) ||
+    (!body.pairs.length && invalidBody('"pairs" must not be empty', 'pairs')) ||
+    (body.pairs.length > MAX_BATCH_PAIRS && tooManyValues('pairs', MAX_BATCH_PAIRS)) ||
+    checkMaxAgeMinutes(maxAgeMinutes);
+  if (validationError) {
+    return badRequest(validationError);
+  }
+
+  const pairs = body.pairs.map((x, i) => {
+    const field = `pairs[${i}]`;
+    const error =
+      (!x && invalidParameter(field, 'must be an object with "src" and "dst"')) ||
+      checkRequired({ [`${field}.src`]: x.src, [`${field}.dst`]: x.dst }) ||
+      checkSources(`${field}.src`, [x.src]) ||
+      checkCandidate(`${field}.dst`, x.dst);
+    return {
+      src: x && x.src,
+      dst: x && x.dst,
+      key: error ? null : `${x.src.toLowerCase()}+${x.dst.toLowerCase()}`,
+      error
+    };
+  });
+
+  // batchGet does not accept duplicate keys
+  const keys = [...new Set(pairs.filter((x) => x.key).map((x) => x.key))].map((x) => {
+    const [srcRegion, dstRegion] = x.split('+');
+    return { srcRegion, dstRegion };
+  });
+
+  let items = [];
+  let unprocessedKeys = [];
+  if (keys.length) {
+    try {
+      ({ items, unprocessedKeys } = await storage.batchGetPairs(keys, { attributes: LATENCY_ATTRIBUTES }));
+    } catch (error) {
+      console.error('logtag: 8b1d4e7a-3c92-4f06-a5e8-d27f0c9b6e13', error);
+      return internalServerError();
+    }
+  }
+
+  const found = {};
+  items.forEach((x) => {
+    found[`${x.srcRegion}+${x.dstRegion}`] = x;
+  });
+  const unprocessed = unprocessedKeys.map((x) => `${x.srcRegion}+${x.dstRegion}`);
+  if (unprocessed.length) {
+    console.error('logtag: 0e5c9a3b-6d21-4b7f-8a4e-f1c3d7b92a58', `${unprocessed.length} keys left unprocessed`);
+  }
+
+  return {
+    statusCode: 200,
+    body: JSON.stringify(
+      {
+        data: pairs.map((x) => {
+          const result = { src: x.src, dst: x.dst };
+          if (!x.key) {
+            return { ...result, error: x.error };
+          }
+          if (found[x.key]) {
+            return { ...result, ...pickMeasurement(found[x.key], maxAgeMinutes) };
+          }
+          if (unprocessed.includes(x.key)) {
+            return { ...result, error: internalError() };
+          }
+          return { ...result, error: notFound(`No latency from "${x.src}" to "${x.dst}" has been measured yet`) };
+        })
+      },
+      null,
+      2
+    )
+  };
+};
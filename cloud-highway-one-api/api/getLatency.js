@@ -1,99 +1,138 @@
-const AWS = require('aws-sdk');
-const { validateRegion } = require('../helpers');
+const { getStorage } = require('cloud-highway-one-common');
+const {
+  checkRequired,
+  checkParameter,
+  notFound,
+  createErrorResponse,
+  badRequest,
+  internalServerError
+} = require('../errors');
+const {
+  checkSource,
+  checkRegion,
+  checkMaxAgeMinutes,
+  checkMetric,
+  checkMode,
+  pickMeasurement,
+  pickHttpsMetric,
+  pairDirections
+} = require('../helpers');
 
-const docClient = new AWS.DynamoDB.DocumentClient({
-  region: 'us-west-2',
-  apiVersion: '2012-08-10',
-  sslEnabled: true
-});
+const storage = getStorage();
 
 /**
  * GET method to get the latency from source region to destination region
  *
  * The latency has "directions", aka, switching source and destination region will get a different result (although they are super close)
  *
+ * Set the optional `maxAgeMinutes` to flag the result with `stale: true` if it was measured longer ago than that.
+ *
+ * Set the optional `metric` to one of "dns", "tcp", "tls" and "ttfb" to get the DNS resolution, TCP connection, TLS handshake
+ * or time to first byte of HTTPS requests instead of the ping, e.g. { metric: 'ttfb', value: 48.8, measuredAt: '2020-08-01T00:00:00.512Z' }
+ *
+ * Set the optional `mode` to "symmetric" to get both directions side by side, their mean and the asymmetry (absolute difference),
+ * e.g. { forward: { ping: 143.9680204, ... }, reverse: { ping: 141.0012983, ... }, meanPing: 142.48465935, asymmetry: 2.9667221 }.
+ * `forward` is the direction from source to destination region. `metric` cannot be used together with it.
+ *
  * Example query:
- * /getLatency?srcProvider=aws&srcRegion=us-west-2&dstProvider=aws&dstRegion=ap-east-1
+ * /getLatency?srcProvider=aws&srcRegion=us-west-2&dstProvider=aws&dstRegion=ap-east-1&maxAgeMinutes=60
  *
  * @param {*} event
- * @returns latency in milliseconds (keep the original accuracy)
+ * @returns latency statistics in milliseconds (keep the original accuracy): average, min, max and standard deviation of the latest run,
+ * packet loss ratio of the latest run, p50/p90/p99 over the last 24 hours, and the time of the latest run.
+ * 404 if the pair (in symmetric mode: both directions) has not been measured yet
  *
  * Example response (JSON):
  *
  * {
- *   ping: 143.9680204
+ *   ping: 143.9680204,
+ *   minPing: 143.1021987,
+ *   maxPing: 145.2004871,
+ *   stddev: 0.7412093,
+ *   packetLoss: 0,
+ *   p50: 144.0115432,
+ *   p90: 146.8820981,
+ *   p99: 151.3349012,
+ *   measuredAt: '2020-08-01T00:00:00.512Z',
+ *   reachable: true,
+ *   stale: false
  * }
  */
 module.exports.interRegionalLatency = async (event) => {
-  if (!event || !event.queryStringParameters) {
-    return {
-      statusCode: 400,
-      body: JSON.stringify(
-        {
-          error: 'Bad Request'
-        },
-        null,
-        2
-      )
-    };
+  const parameters = (event && event.queryStringParameters) || {};
+
+  const { srcProvider } = parameters;
+  const { srcRegion } = parameters;
+  const { dstProvider } = parameters;
+  const { dstRegion } = parameters;
+  const { maxAgeMinutes } = parameters;
+  const { metric } = parameters;
+  const { mode } = parameters;
+
+  const validationError =
+    checkRequired({ srcProvider, srcRegion, dstProvider, dstRegion }) ||
+    checkSource(srcProvider, srcRegion) ||
+    checkRegion('dst', dstProvider, dstRegion) ||
+    checkMaxAgeMinutes(maxAgeMinutes) ||
+    checkMetric(metric) ||
+    checkMode(mode) ||
+    checkParameter(
+      'metric',
+      mode !== 'symmetric' || !metric || metric === 'ping',
+      'only "ping" is supported in symmetric mode'
+    );
+  if (validationError) {
+    return badRequest(validationError);
   }
 
-  const { srcProvider } = event.queryStringParameters;
-  const { srcRegion } = event.queryStringParameters;
-  const { dstProvider } = event.queryStringParameters;
-  const { dstRegion } = event.queryStringParameters;
+  const srcRegionName = `${srcProvider.toLowerCase()}@${srcRegion.toLowerCase()}`;
+  const dstRegionName = `${dstProvider.toLowerCase()}@${dstRegion.toLowerCase()}`;
+
+  if (mode === 'symmetric') {
+    let items;
+    try {
+      items = await Promise.all([
+        storage.getPair(srcRegionName, dstRegionName),
+        storage.getPair(dstRegionName, srcRegionName)
+      ]);
+    } catch (error) {
+      console.error('logtag: 2e7c4f18-5a9b-4d03-b6e2-8f1a3c9d7e45', error);
+      return internalServerError();
+    }
 
-  if (
-    !srcProvider ||
-    !srcRegion ||
-    !dstProvider ||
-    !dstRegion ||
-    !validateRegion(srcProvider, srcRegion) ||
-    !validateRegion(dstProvider, dstRegion)
-  ) {
+    const [forward, reverse] = items.map((x) => x && pickMeasurement(x, maxAgeMinutes));
+    if (!forward && !reverse) {
+      return createErrorResponse(
+        404,
+        notFound(`No latency between "${srcRegionName}" and "${dstRegionName}" has been measured yet`)
+      );
+    }
     return {
-      statusCode: 400,
-      body: JSON.stringify(
-        {
-          error: 'Bad Request'
-        },
-        null,
-        2
-      )
+      statusCode: 200,
+      body: JSON.stringify(pairDirections(forward, reverse), null, 2)
     };
   }
 
-  const params = {
-    TableName: 'CloudHighwayOne',
-    Key: {
-      srcRegion: `${srcProvider.toLowerCase()}@${srcRegion.toLowerCase()}`,
-      dstRegion: `${dstProvider.toLowerCase()}@${dstRegion.toLowerCase()}`
-    }
-  };
-
-  let response;
+  let item;
   try {
-    response = await docClient.get(params).promise();
+    item = await storage.getPair(srcRegionName, dstRegionName);
   } catch (error) {
     console.error('logtag: b6a94240-902b-42e8-af04-66225f473742', error);
-    return {
-      statusCode: 500,
-      body: JSON.stringify(
-        {
-          error: 'Internal Server Error'
-        },
-        null,
-        2
-      )
-    };
+    return internalServerError();
+  }
+
+  if (!item) {
+    // the collector has not written this pair yet, e.g. a region which has just been added
+    return createErrorResponse(
+      404,
+      notFound(`No latency from "${srcRegionName}" to "${dstRegionName}" has been measured yet`)
+    );
   }
 
   return {
     statusCode: 200,
     body: JSON.stringify(
-      {
-        ping: response.Item.ping
-      },
+      metric && metric !== 'ping' ? pickHttpsMetric(item, metric, maxAgeMinutes) : pickMeasurement(item, maxAgeMinutes),
       null,
       2
     )
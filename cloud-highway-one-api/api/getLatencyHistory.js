@@ -0,0 +1,100 @@
+const { getStorage } = require('cloud-highway-one-common');
+const { DEFAULT_HISTORY_WINDOW_IN_HOURS, MAX_HISTORY_WINDOW_IN_DAYS } = require('../constants');
+const { checkRequired, checkParameter, badRequest, internalServerError } = require('../errors');
+const { checkSource, checkRegion, parseTimestamp, pickLatencyStatistics } = require('../helpers');
+
+const storage = getStorage();
+
+/**
+ * GET method to get the history of latencies from source region to destination region within a time window
+ *
+ * `from` and `to` accept ISO 8601 dates or milliseconds since epoch. `to` defaults to now and `from` defaults to 24 hours before `to`.
+ * The time window can be up to 31 days.
+ *
+ * Example query:
+ * /getLatencyHistory?srcProvider=aws&srcRegion=us-west-2&dstProvider=aws&dstRegion=ap-east-1&from=2020-08-01T00:00:00Z&to=2020-08-02T00:00:00Z
+ *
+ * @param {*} event
+ * @returns samples ordered by measurement time (oldest first), latency in milliseconds (keep the original accuracy).
+ * Besides the average ping, each sample also has the min, max, standard deviation and packet loss of its run
+ *
+ * Example response (JSON):
+ *
+ * {
+ *   from: '2020-08-01T00:00:00.000Z',
+ *   to: '2020-08-02T00:00:00.000Z',
+ *   data: [
+ *     { measuredAt: '2020-08-01T00:00:00.512Z', ping: 143.9680204 },
+ *     { measuredAt: '2020-08-01T00:30:00.498Z', ping: 145.0129812 },
+ *     ...
+ *   ]
+ * }
+ */
+module.exports.getLatencyHistory = async (event) => {
+  const parameters = (event && event.queryStringParameters) || {};
+
+  const { srcProvider } = parameters;
+  const { srcRegion } = parameters;
+  const { dstProvider } = parameters;
+  const { dstRegion } = parameters;
+  const { from } = parameters;
+  const { to } = parameters;
+
+  const toDate = to ? parseTimestamp(to) : new Date();
+  const fromDate = from
+    ? parseTimestamp(from)
+    : toDate && new Date(toDate.getTime() - DEFAULT_HISTORY_WINDOW_IN_HOURS * 60 * 60 * 1000);
+
+  const validationError =
+    checkRequired({ srcProvider, srcRegion, dstProvider, dstRegion }) ||
+    checkSource(srcProvider, srcRegion) ||
+    checkRegion('dst', dstProvider, dstRegion) ||
+    checkParameter('to', toDate, 'must be an ISO 8601 date or milliseconds since epoch') ||
+    checkParameter('from', fromDate, 'must be an ISO 8601 date or milliseconds since epoch') ||
+    checkParameter('from', fromDate <= toDate, 'must not be later than "to"') ||
+    checkParameter(
+      'to',
+      toDate.getTime() - fromDate.getTime() <= MAX_HISTORY_WINDOW_IN_DAYS * 24 * 60 * 60 * 1000,
+      `must be within ${MAX_HISTORY_WINDOW_IN_DAYS} days after "from"`
+    );
+  if (validationError) {
+    return badRequest(validationError);
+  }
+
+  const pair = `${srcProvider.toLowerCase()}@${srcRegion.toLowerCase()}+${dstProvider.toLowerCase()}@${dstRegion.toLowerCase()}`;
+
+  let responseItemsArray;
+
+  try {
+    responseItemsArray = await storage.queryHistory(pair, { from: fromDate.toISOString(), to: toDate.toISOString() });
+  } catch (error) {
+    console.error('logtag: 6f1c7a52-3b1e-4d0a-9d6e-3f2b8c41e7a9', error);
+    return internalServerError();
+  }
+
+  /* Items format, oldest first:
+      [
+        { pair: 'aws@us-west-2+aws@ap-east-1', measuredAt: '2020-08-01T00:00:00.512Z', ping: 143.9680204, minPing: 143.1021987, ... },
+        { pair: 'aws@us-west-2+aws@ap-east-1', measuredAt: '2020-08-01T00:30:00.498Z', ping: 145.0129812, minPing: 144.2309812, ... },
+        ...
+      ]
+  */
+
+  return {
+    statusCode: 200,
+    body: JSON.stringify(
+      {
+        from: fromDate.toISOString(),
+        to: toDate.toISOString(),
+        data: responseItemsArray.map((x) => {
+          return {
+            measuredAt: x.measuredAt,
+            ...pickLatencyStatistics(x)
+          };
+        })
+      },
+      null,
+      2
+    )
+  };
+};
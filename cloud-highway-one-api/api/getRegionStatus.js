@@ -0,0 +1,100 @@
+const { getStorage } = require('cloud-highway-one-common');
+const { checkRequired, badRequest, internalServerError } = require('../errors');
+const { checkSource } = require('../helpers');
+
+const storage = getStorage();
+
+const STATUS_ATTRIBUTES = ['measuredAt', 'reachable', 'consecutiveFailures', 'lastSuccessAt', 'lastFailureAt'];
+
+/**
+ * GET method to get the reachability of destination regions from source regions
+ *
+ * `srcProvider` and `srcRegion` are optional: with them only the routes from that source region are listed,
+ * without them the routes from every source region are listed.
+ *
+ * Example query:
+ *
+ * /getRegionStatus?srcProvider=aws&srcRegion=us-west-2
+ *
+ * @param {*} event
+ * @returns the reachability of each route and a summary. `reachable` is false if the last probe of the route failed,
+ * `consecutiveFailures` is the number of probes failed in a row, `lastSuccessAt` and `lastFailureAt` are the times
+ * of the last successful and failed probes (null if there was none)
+ *
+ * Example response (JSON):
+ *
+ * {
+ *   summary: {
+ *     total: 74,
+ *     reachable: 73,
+ *     unreachable: 1
+ *   },
+ *   data: [
+ *     {
+ *       srcProvider: 'aws',
+ *       srcRegion: 'us-west-2',
+ *       dstProvider: 'aws',
+ *       dstRegion: 'ap-east-1',
+ *       reachable: false,
+ *       consecutiveFailures: 3,
+ *       lastSuccessAt: '2020-08-01T00:00:00.512Z',
+ *       lastFailureAt: '2020-08-01T01:30:00.498Z'
+ *     },
+ *     ...
+ *   ]
+ * }
+ *
+ */
+module.exports.getRegionStatus = async (event) => {
+  const { srcProvider, srcRegion } = (event && event.queryStringParameters) || {};
+
+  const validationError =
+    (srcProvider || srcRegion) && (checkRequired({ srcProvider, srcRegion }) || checkSource(srcProvider, srcRegion));
+  if (validationError) {
+    return badRequest(validationError);
+  }
+
+  let responseItemsArray;
+
+  try {
+    ({ items: responseItemsArray } = await (srcProvider
+      ? storage.querySource(`${srcProvider.toLowerCase()}@${srcRegion.toLowerCase()}`, {
+          attributes: STATUS_ATTRIBUTES
+        })
+      : storage.scanAll({ attributes: STATUS_ATTRIBUTES })));
+  } catch (error) {
+    console.error('logtag: 0b7e4c2d-9a61-4f3e-8d25-71c6e3a0f5b8', error);
+    return internalServerError();
+  }
+
+  const data = responseItemsArray.map((x) => {
+    return {
+      srcProvider: x.srcRegion.split('@')[0],
+      srcRegion: x.srcRegion.split('@')[1],
+      dstProvider: x.dstRegion.split('@')[0],
+      dstRegion: x.dstRegion.split('@')[1],
+      // items written before failures were recorded have only been written after successful probes
+      reachable: x.reachable !== false,
+      consecutiveFailures: x.consecutiveFailures || 0,
+      lastSuccessAt: x.lastSuccessAt || x.measuredAt || null,
+      lastFailureAt: x.lastFailureAt || null
+    };
+  });
+  const reachableCount = data.filter((x) => x.reachable).length;
+
+  return {
+    statusCode: 200,
+    body: JSON.stringify(
+      {
+        summary: {
+          total: data.length,
+          reachable: reachableCount,
+          unreachable: data.length - reachableCount
+        },
+        data
+      },
+      null,
+      2
+    )
+  };
+};
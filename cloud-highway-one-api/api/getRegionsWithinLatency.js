@@ -0,0 +1,143 @@
+const { getRegion } = require('cloud-highway-one-common');
+const { MAX_SRC_REGIONS } = require('../constants');
+const {
+  checkRequired,
+  checkParameter,
+  missingParameter,
+  tooManyValues,
+  badRequest,
+  internalServerError
+} = require('../errors');
+const {
+  checkSources,
+  checkProvider,
+  checkContinent,
+  checkMaxAgeMinutes,
+  getMultiValueParameter,
+  getLatenciesFromSourceAsync,
+  rankDestinations
+} = require('../helpers');
+
+/**
+ * GET method to get the destination regions within a latency threshold from one or more source regions
+ *
+ * Put one source region in each `src` query key, up to 10 source regions. Use `@` to join provider name and region name, e.g. `aws@us-east-1`.
+ * A destination region qualifies if its latency from **every** source region is at most `maxPing` milliseconds.
+ * The source regions themselves are never returned.
+ *
+ * `provider` and `continent` are optional filters of the destination regions, same as listRegions.
+ *
+ * Set the optional `maxAgeMinutes` to skip latencies measured longer ago than that. Unreachable destinations are always skipped.
+ *
+ * Example query:
+ *
+ * /getRegionsWithinLatency?src=aws@us-east-1&src=aws@eu-west-1&maxPing=100&continent=europe
+ *
+ * @param {*} event
+ * @returns the qualifying destination regions ordered by their highest latency from the source regions, with the latency from each source region.
+ * latency in milliseconds (keep the original accuracy)
+ *
+ * Example response (JSON):
+ *
+ * {
+ *   data: [
+ *     {
+ *       dstProvider: 'aws',
+ *       dstRegion: 'eu-west-2',
+ *       continent: 'europe',
+ *       latencies: [
+ *         { srcProvider: 'aws', srcRegion: 'us-east-1', ping: 76.1209 },
+ *         { srcProvider: 'aws', srcRegion: 'eu-west-1', ping: 11.9812 }
+ *       ]
+ *     },
+ *     ...
+ *   ]
+ * }
+ *
+ */
+module.exports.getRegionsWithinLatency = async (event) => {
+  if (!event || !event.queryStringParameters) {
+    return badRequest(missingParameter('src'));
+  }
+
+  const { maxPing } = event.queryStringParameters;
+  const { provider } = event.queryStringParameters;
+  const { continent } = event.queryStringParameters;
+  const { maxAgeMinutes } = event.queryStringParameters;
+  const src = getMultiValueParameter(event, 'src');
+
+  const validationError =
+    checkRequired({ src, maxPing }) ||
+    (src.length > MAX_SRC_REGIONS && tooManyValues('src', MAX_SRC_REGIONS)) ||
+    checkSources('src', src) ||
+    checkParameter('maxPing', /^\d+(\.\d+)?$/.test(maxPing), 'must be a non-negative number of milliseconds') ||
+    (provider && checkProvider('provider', provider)) ||
+    (continent && checkContinent(continent)) ||
+    checkMaxAgeMinutes(maxAgeMinutes);
+  if (validationError) {
+    return badRequest(validationError);
+  }
+
+  const srcRegionNames = src.map((x) => x.toLowerCase());
+
+  let latencies;
+  try {
+    // read the latencies to all regions and filter them here, so that the cache is shared with the other endpoints
+    latencies = await Promise.all(
+      srcRegionNames.map(async (srcRegionName) => {
+        const items = await getLatenciesFromSourceAsync(srcRegionName);
+        const pings = {};
+        rankDestinations(items, { maxAgeMinutes }).forEach((x) => {
+          pings[x.dstRegion] = Number(x.ping);
+        });
+        return pings;
+      })
+    );
+  } catch (error) {
+    console.error('logtag: 6b3e0f97-2d4c-4a18-9e5b-c81d7a2f4e63', error);
+    return internalServerError();
+  }
+
+  const data = [];
+  Object.keys(latencies[0]).forEach((dstRegionName) => {
+    const region = getRegion(dstRegionName);
+    if (
+      !region ||
+      srcRegionNames.includes(dstRegionName) ||
+      (provider && region.provider !== provider.toLowerCase()) ||
+      (continent && region.continent !== continent.toLowerCase())
+    ) {
+      return;
+    }
+    const pings = latencies.map((x) => x[dstRegionName]);
+    if (pings.some((x) => x === undefined || x > Number(maxPing))) {
+      return;
+    }
+    data.push({
+      dstProvider: region.provider,
+      dstRegion: region.region,
+      continent: region.continent,
+      latencies: srcRegionNames.map((x, i) => {
+        return {
+          srcProvider: x.split('@')[0],
+          srcRegion: x.split('@')[1],
+          ping: pings[i]
+        };
+      })
+    });
+  });
+
+  const highestPing = (x) => Math.max(...x.latencies.map((y) => y.ping));
+  data.sort((a, b) => highestPing(a) - highestPing(b));
+
+  return {
+    statusCode: 200,
+    body: JSON.stringify(
+      {
+        data
+      },
+      null,
+      2
+    )
+  };
+};
@@ -0,0 +1,61 @@
+const { listRegions } = require('cloud-highway-one-common');
+const { badRequest } = require('../errors');
+const { checkProvider, checkContinent } = require('../helpers');
+
+/**
+ * GET method to list all supported regions from all providers with their display names, locations and metadata
+ *
+ * Both parameters are optional: `provider` only lists the regions of a provider, `continent` only lists the regions on a continent
+ * (one of "africa", "asia", "europe", "north-america", "oceania" and "south-america").
+ *
+ * Example query:
+ *
+ * /listRegions?provider=aws&continent=asia
+ *
+ * @param {*} event
+ * @returns a list of regions. `optIn` tells whether the region has to be enabled explicitly in the account before use
+ *
+ * Example response (JSON):
+ *
+ * {
+ *   data: [
+ *     {
+ *       provider: 'aws',
+ *       providerName: 'Amazon Web Services',
+ *       region: 'ap-east-1',
+ *       name: 'Asia Pacific (Hong Kong)',
+ *       continent: 'asia',
+ *       latitude: 22.27,
+ *       longitude: 114.16,
+ *       status: 'available',
+ *       optIn: true
+ *     },
+ *     ...
+ *   ]
+ * }
+ *
+ */
+module.exports.listRegions = async (event) => {
+  const { provider, continent } = (event && event.queryStringParameters) || {};
+
+  const validationError = (provider && checkProvider('provider', provider)) || (continent && checkContinent(continent));
+  if (validationError) {
+    return badRequest(validationError);
+  }
+
+  return {
+    statusCode: 200,
+    body: JSON.stringify(
+      {
+        data: listRegions().filter((x) => {
+          return (
+            (!provider || x.provider === provider.toLowerCase()) &&
+            (!continent || x.continent === continent.toLowerCase())
+          );
+        })
+      },
+      null,
+      2
+    )
+  };
+};
@@ -1,32 +1,86 @@
-module.exports.regions = {
-  aws: [
-    'us-east-1',
-    'us-east-2',
-    'us-west-1',
-    'us-west-2',
-    'af-south-1',
-    'ap-east-1',
-    'ap-south-1',
-    'ap-northeast-2',
-    'ap-southeast-1',
-    'ap-southeast-2',
-    'ap-northeast-1',
-    'ca-central-1',
-    'eu-central-1',
-    'eu-west-1',
-    'eu-west-2',
-    'eu-west-3',
-    'eu-north-1',
-    'me-south-1',
-    'sa-east-1'
-  ]
-};
+const { regions } = require('cloud-highway-one-common');
+
+// region codes of every provider, see cloud-highway-one-common/providers
+module.exports.regions = regions;
 
 module.exports.MAX_DST_REGION_CANDIDATES = 100;
 
+// name of a collector source, which can be a site outside of the providers, e.g. "onprem@frankfurt-dc1",
+// the same format the collector accepts, see cloud-highway-one-aws/config.js
+module.exports.SOURCE_PATTERN = /^[a-z0-9-]+@[a-z0-9-]+$/;
+
+// latency statistics attributes of each source -> destination pair in the data table, latencies in milliseconds.
+// ping is the average of all successful attempts of the latest run, packetLoss is the ratio of failed attempts (0 to 1)
+// and the percentiles are calculated over the history of the last 24 hours
+module.exports.LATENCY_STATISTICS = ['ping', 'minPing', 'maxPing', 'stddev', 'packetLoss', 'p50', 'p90', 'p99'];
+
+// metrics of HTTPS requests measured by the collector in HTTPS probe mode -> attribute in the data table, in milliseconds
+module.exports.HTTPS_METRICS = {
+  dns: 'dnsTime',
+  tcp: 'tcpTime',
+  tls: 'tlsTime',
+  ttfb: 'ttfbTime'
+};
+
 module.exports.CACHE_TTL_IN_MINUTES = 15;
 
+// DynamoDB items are at most 400 KB including the key and ttl, larger values are not cached
+module.exports.MAX_CACHE_VALUE_SIZE_IN_BYTES = 350 * 1024;
+
 module.exports.REQUEST_TYPES = {
   LatenciesFromOneRegionToMultiRegionCandidates: 'LatenciesFromOneRegionToMultiRegionCandidates',
+  LatenciesFromMultiRegionCandidatesToOneRegion: 'LatenciesFromMultiRegionCandidatesToOneRegion',
   AllData: 'AllData'
 };
+
+module.exports.DEFAULT_HISTORY_WINDOW_IN_HOURS = 24;
+
+module.exports.MAX_HISTORY_WINDOW_IN_DAYS = 31;
+
+module.exports.MAX_SRC_REGIONS = 10;
+
+// objectives to pick a destination region for multiple source regions:
+// the highest latency from any source, the mean latency, or the sum of latencies weighted by the traffic of each source
+module.exports.MEETING_POINT_OBJECTIVES = ['max', 'mean', 'weighted'];
+
+// number of hops of a path between two regions, a direct route is one hop
+module.exports.DEFAULT_MAX_HOPS = 2;
+module.exports.MAX_HOPS = 4;
+
+// views of the latency between two regions: each direction separately, or both directions of an unordered pair side by side
+module.exports.MODES = ['directional', 'symmetric'];
+
+module.exports.DEFAULT_ASYMMETRY_REPORT_LIMIT = 20;
+
+// output formats of getAllData -> Content-Type of the response
+module.exports.DATA_FORMATS = {
+  json: 'application/json',
+  matrix: 'application/json',
+  csv: 'text/csv; charset=utf-8',
+  tsv: 'text/tab-separated-values; charset=utf-8'
+};
+
+// page size of getAllData
+module.exports.DEFAULT_PAGE_SIZE = 500;
+module.exports.MAX_PAGE_SIZE = 1000;
+
+module.exports.MAX_BATCH_PAIRS = 100;
+
+// `code` of the error responses, see errors.js
+module.exports.ERROR_CODES = {
+  MissingParameter: 'MISSING_PARAMETER',
+  InvalidParameter: 'INVALID_PARAMETER',
+  UnknownProvider: 'UNKNOWN_PROVIDER',
+  UnknownRegion: 'UNKNOWN_REGION',
+  TooManyValues: 'TOO_MANY_VALUES',
+  InvalidBody: 'INVALID_BODY',
+  NotFound: 'NOT_FOUND',
+  InternalError: 'INTERNAL_ERROR'
+};
+
+// standalone HTTP server, see server.js
+module.exports.DEFAULT_SERVER_PORT = 3000;
+// API Gateway rejects payloads larger than 10 MB, the largest valid request body (getLatencies) is far smaller
+module.exports.MAX_REQUEST_BODY_SIZE_IN_BYTES = 1024 * 1024;
+// on shutdown, requests in flight get this long to finish before their connections are closed
+module.exports.SHUTDOWN_TIMEOUT_IN_MILLISECONDS = 10000;
@@ -0,0 +1,249 @@
+const { ERROR_CODES } = require('./constants');
+
+/**
+ * Reduce a name to its letters and digits, so that names which only differ in case or separators match
+ *
+ * @param {*} value e.g. "US_West2"
+ * @returns e.g. "uswest2"
+ */
+const normalizeName = (value) => {
+  return value.toLowerCase().replace(/[^a-z0-9]/g, '');
+};
+
+/**
+ * Levenshtein distance between two strings
+ *
+ * @param {*} a e.g. "uswest2"
+ * @param {*} b e.g. "uswest1"
+ * @returns the number of single character insertions, deletions and substitutions to change a into b, e.g. 1
+ */
+const getEditDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (x, i) => i);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Find the allowed value closest to a misspelled one
+ *
+ * @param {*} value the misspelled value, e.g. "us-west2"
+ * @param {*} allowedValues e.g. ["us-east-1", "us-west-1", "us-west-2", ...]
+ * @returns the closest allowed value, e.g. "us-west-2", or null if none is close enough (one typo in every four characters)
+ */
+const findSuggestion = (value, allowedValues) => {
+  if (typeof value !== 'string' || !value) {
+    return null;
+  }
+  const normalizedValue = normalizeName(value);
+  let suggestion = null;
+  let shortestDistance = Infinity;
+  allowedValues.forEach((x) => {
+    const distance = getEditDistance(normalizedValue, normalizeName(x));
+    if (distance < shortestDistance) {
+      suggestion = x;
+      shortestDistance = distance;
+    }
+  });
+  return shortestDistance <= Math.max(1, Math.floor(normalizedValue.length / 4)) ? suggestion : null;
+};
+module.exports.findSuggestion = findSuggestion;
+
+/**
+ * Create the details of an error
+ *
+ * @param {*} code one of ERROR_CODES, e.g. "UNKNOWN_REGION"
+ * @param {*} message human readable description
+ * @param {*} details optional: `field` (the parameter which caused the error), `allowedValues` and `suggestion`
+ * @returns e.g. { code: 'UNKNOWN_REGION', message: 'Unknown region "us-west2". Did you mean "us-west-2"?', field: 'srcRegion', allowedValues: [...], suggestion: 'us-west-2' }
+ */
+const createError = (code, message, { field, allowedValues, suggestion } = {}) => {
+  const error = { code, message };
+  if (field) {
+    error.field = field;
+  }
+  if (allowedValues) {
+    error.allowedValues = allowedValues;
+  }
+  if (suggestion) {
+    error.suggestion = suggestion;
+  }
+  return error;
+};
+module.exports.createError = createError;
+
+/**
+ * Create the details of a required parameter which is not set
+ *
+ * @param {*} field parameter name, e.g. "srcProvider"
+ * @returns error details
+ */
+const missingParameter = (field) => {
+  return createError(ERROR_CODES.MissingParameter, `Missing required parameter "${field}"`, { field });
+};
+module.exports.missingParameter = missingParameter;
+
+/**
+ * Create the details of a parameter with an invalid value
+ *
+ * @param {*} field parameter name, e.g. "maxAgeMinutes"
+ * @param {*} reason what is wrong with it, e.g. "must be a positive integer"
+ * @param {*} options optional: `allowedValues`, e.g. ["directional", "symmetric"], and the `value` to find the closest allowed value for
+ * @returns error details
+ */
+const invalidParameter = (field, reason, { allowedValues, value } = {}) => {
+  const suggestion = allowedValues && findSuggestion(value, allowedValues);
+  return createError(
+    ERROR_CODES.InvalidParameter,
+    `Invalid "${field}": ${reason}${suggestion ? `. Did you mean "${suggestion}"?` : ''}`,
+    { field, allowedValues, suggestion }
+  );
+};
+module.exports.invalidParameter = invalidParameter;
+
+/**
+ * Create the details of an unknown provider, with the closest provider name if there is one
+ *
+ * @param {*} field parameter name, e.g. "srcProvider"
+ * @param {*} value e.g. "amazon"
+ * @param {*} allowedValues provider names, e.g. ["aws", "azure", "gcp"]
+ * @returns error details
+ */
+module.exports.unknownProvider = (field, value, allowedValues) => {
+  const suggestion = findSuggestion(value, allowedValues);
+  return createError(
+    ERROR_CODES.UnknownProvider,
+    `Unknown provider "${value}"${suggestion ? `. Did you mean "${suggestion}"?` : ''}`,
+    { field, allowedValues, suggestion }
+  );
+};
+
+/**
+ * Create the details of an unknown region, with the closest region name if there is one
+ *
+ * @param {*} field parameter name, e.g. "srcRegion"
+ * @param {*} value e.g. "us-west2"
+ * @param {*} allowedValues region names, e.g. ["us-east-1", "us-west-1", "us-west-2", ...]
+ * @returns error details
+ */
+module.exports.unknownRegion = (field, value, allowedValues) => {
+  const suggestion = findSuggestion(value, allowedValues);
+  return createError(
+    ERROR_CODES.UnknownRegion,
+    `Unknown region "${value}"${suggestion ? `. Did you mean "${suggestion}"?` : ''}`,
+    { field, allowedValues, suggestion }
+  );
+};
+
+/**
+ * Create the details of a parameter which is repeated too many times
+ *
+ * @param {*} field parameter name, e.g. "dstCandidate"
+ * @param {*} max the largest allowed number of values, e.g. 100
+ * @returns error details
+ */
+module.exports.tooManyValues = (field, max) => {
+  return createError(ERROR_CODES.TooManyValues, `Too many values of "${field}", up to ${max} are allowed`, { field });
+};
+
+/**
+ * Create the details of a request body which cannot be used
+ *
+ * @param {*} reason e.g. "must be JSON"
+ * @param {*} field optional, the attribute which caused the error, e.g. "pairs"
+ * @returns error details
+ */
+module.exports.invalidBody = (reason, field) => {
+  return createError(ERROR_CODES.InvalidBody, `Invalid request body: ${reason}`, { field });
+};
+
+/**
+ * Create the details of data which does not exist
+ *
+ * @param {*} message e.g. 'No latency from "aws@us-west-2" to "aws@ap-east-1" has been measured yet'
+ * @returns error details
+ */
+module.exports.notFound = (message) => {
+  return createError(ERROR_CODES.NotFound, message);
+};
+
+/**
+ * Create the details of an unexpected failure, e.g. of the database. The cause is logged, not returned
+ *
+ * @returns error details
+ */
+const internalError = () => {
+  return createError(ERROR_CODES.InternalError, 'Internal Server Error');
+};
+module.exports.internalError = internalError;
+
+/**
+ * Return the details of the first required parameter which is not set
+ *
+ * @param {*} parameters e.g. { srcProvider: 'aws', srcRegion: undefined }
+ * @returns error details, or null if all parameters are set
+ */
+module.exports.checkRequired = (parameters) => {
+  const field = Object.keys(parameters).find((x) => !parameters[x]);
+  return field ? missingParameter(field) : null;
+};
+
+/**
+ * Return the details of an invalid parameter
+ *
+ * Chain the checks of a request with `||` to get the first error.
+ *
+ * @param {*} field parameter name, e.g. "mode"
+ * @param {*} valid result of the validation, e.g. validateMode(mode)
+ * @param {*} reason what is wrong with it if it is invalid, e.g. "must be one of the allowed values"
+ * @param {*} options optional, see invalidParameter, e.g. { allowedValues: ['directional', 'symmetric'], value: 'symetric' }
+ * @returns error details, or null if the parameter is valid
+ */
+module.exports.checkParameter = (field, valid, reason, options) => {
+  return valid ? null : invalidParameter(field, reason, options);
+};
+
+/**
+ * Create an error response
+ *
+ * @param {*} statusCode e.g. 400
+ * @param {*} error error details, see createError
+ * @returns API Gateway response, e.g. { statusCode: 400, body: '{ "error": { "code": "MISSING_PARAMETER", ... } }' }
+ */
+const createErrorResponse = (statusCode, error) => {
+  return {
+    statusCode,
+    body: JSON.stringify(
+      {
+        error
+      },
+      null,
+      2
+    )
+  };
+};
+module.exports.createErrorResponse = createErrorResponse;
+
+/**
+ * Create a 400 response
+ *
+ * @param {*} error error details, see createError
+ * @returns API Gateway response
+ */
+module.exports.badRequest = (error) => {
+  return createErrorResponse(400, error);
+};
+
+/**
+ * Create a 500 response
+ *
+ * @returns API Gateway response
+ */
+module.exports.internalServerError = () => {
+  return createErrorResponse(500, internalError());
+};
@@ -1,11 +1,18 @@
-const AWS = require('aws-sdk');
-const { regions, MAX_DST_REGION_CANDIDATES, CACHE_TTL_IN_MINUTES, REQUEST_TYPES } = require('./constants');
+const { continents, getStorage } = require('cloud-highway-one-common');
+const {
+  regions,
+  MAX_DST_REGION_CANDIDATES,
+  SOURCE_PATTERN,
+  CACHE_TTL_IN_MINUTES,
+  MAX_CACHE_VALUE_SIZE_IN_BYTES,
+  REQUEST_TYPES,
+  LATENCY_STATISTICS,
+  HTTPS_METRICS,
+  MODES
+} = require('./constants');
+const { unknownProvider, unknownRegion, invalidParameter, tooManyValues, checkParameter } = require('./errors');
 
-const docClient = new AWS.DynamoDB.DocumentClient({
-  region: 'us-west-2',
-  apiVersion: '2012-08-10',
-  sslEnabled: true
-});
+const storage = getStorage();
 
 /**
  * Check whether a string is a valid provider name
@@ -54,6 +61,159 @@ const validateCandidate = (candidate) => {
 };
 module.exports.validateCandidate = validateCandidate;
 
+/**
+ * Return the details of an unknown provider
+ *
+ * @param {*} field parameter name, e.g. "srcProvider"
+ * @param {*} provider e.g. "aws"
+ * @returns error details, or null if the provider is valid
+ */
+const checkProvider = (field, provider) => {
+  if (validateProvider(provider.toLowerCase())) {
+    return null;
+  }
+  return unknownProvider(field, provider, Object.keys(regions));
+};
+module.exports.checkProvider = checkProvider;
+
+/**
+ * Return the details of an invalid provider and region combination
+ *
+ * @param {*} direction "src" or "dst", the parameters are named `${direction}Provider` and `${direction}Region`
+ * @param {*} provider e.g. "aws"
+ * @param {*} region e.g. "us-west-2"
+ * @returns error details, or null if the combination is valid
+ */
+const checkRegion = (direction, provider, region) => {
+  return (
+    checkProvider(`${direction}Provider`, provider) ||
+    (validateRegion(provider, region)
+      ? null
+      : unknownRegion(`${direction}Region`, region, regions[provider.toLowerCase()]))
+  );
+};
+module.exports.checkRegion = checkRegion;
+
+/**
+ * Check whether a region name is a collector source outside of the providers, e.g. "onprem@frankfurt-dc1"
+ *
+ * @param {*} regionName e.g. "onprem@frankfurt-dc1"
+ * @returns boolean, false for the regions of the providers, which are validated against their region codes
+ */
+const isCustomSource = (regionName) => {
+  return (
+    typeof regionName === 'string' &&
+    SOURCE_PATTERN.test(regionName.toLowerCase()) &&
+    !validateProvider(regionName.split('@')[0].toLowerCase())
+  );
+};
+
+/**
+ * Return the details of an invalid source provider
+ *
+ * Sources are not limited to the providers: the collector can run anywhere, e.g. as "onprem@frankfurt-dc1".
+ *
+ * @param {*} field parameter name, e.g. "srcProvider"
+ * @param {*} provider e.g. "aws" or "onprem"
+ * @returns error details, or null if the provider is valid
+ */
+module.exports.checkSourceProvider = (field, provider) => {
+  return isCustomSource(`${provider}@source`) ? null : checkProvider(field, provider);
+};
+
+/**
+ * Return the details of an invalid source provider and region combination
+ *
+ * The regions of the providers are validated against their region codes, any other well-formed
+ * collector source (e.g. "onprem@frankfurt-dc1") is accepted.
+ *
+ * @param {*} provider e.g. "aws" or "onprem"
+ * @param {*} region e.g. "us-west-2" or "frankfurt-dc1"
+ * @returns error details, or null if the combination is valid
+ */
+module.exports.checkSource = (provider, region) => {
+  return isCustomSource(`${provider}@${region}`) ? null : checkRegion('src', provider, region);
+};
+
+/**
+ * Return the details of an unknown continent
+ *
+ * @param {*} continent e.g. "europe"
+ * @returns error details, or null if the continent is valid
+ */
+module.exports.checkContinent = (continent) => {
+  return checkParameter(
+    'continent',
+    continents.includes(continent.toLowerCase()),
+    'must be one of the allowed values',
+    {
+      allowedValues: continents,
+      value: continent
+    }
+  );
+};
+
+/**
+ * Return the details of an invalid region candidate
+ *
+ * @param {*} field parameter name, e.g. "dstCandidate"
+ * @param {*} candidate e.g. "aws@us-west-1"
+ * @returns error details, or null if the candidate is valid
+ */
+const checkCandidate = (field, candidate) => {
+  if (validateCandidate(candidate)) {
+    return null;
+  }
+  const [provider, region] = typeof candidate === 'string' ? candidate.split('@') : [];
+  if (!provider || !region) {
+    return invalidParameter(
+      field,
+      `"${candidate}" is not a provider name and a region code joined by "@", e.g. "aws@us-west-2"`
+    );
+  }
+  if (!validateProvider(provider.toLowerCase())) {
+    const error = unknownProvider(field, provider, Object.keys(regions));
+    return { ...error, suggestion: error.suggestion && `${error.suggestion}@${region}` };
+  }
+  const providerName = provider.toLowerCase();
+  return unknownRegion(
+    field,
+    candidate,
+    regions[providerName].map((x) => `${providerName}@${x}`)
+  );
+};
+module.exports.checkCandidate = checkCandidate;
+
+/**
+ * Return the details of the first invalid region candidate
+ *
+ * @param {*} field parameter name, e.g. "dstCandidate"
+ * @param {*} candidateArray e.g. ["aws@us-west-1","aws@ap-east-1","aws@eu-central-1"], or undefined if the parameter is not set
+ * @returns error details, or null if all candidates are valid
+ */
+const checkCandidates = (field, candidateArray) => {
+  if (!candidateArray) {
+    // check against all regions
+    return null;
+  }
+  if (candidateArray.length > MAX_DST_REGION_CANDIDATES) {
+    return tooManyValues(field, MAX_DST_REGION_CANDIDATES);
+  }
+  return candidateArray.reduce((error, x) => error || checkCandidate(field, x), null);
+};
+module.exports.checkCandidates = checkCandidates;
+
+/**
+ * Return the details of the first invalid source region
+ *
+ * @param {*} field parameter name, e.g. "src"
+ * @param {*} sourceArray e.g. ["aws@us-west-1","onprem@frankfurt-dc1"], or undefined if the parameter is not set
+ * @returns error details, or null if all sources are regions of the providers or other well-formed collector sources
+ */
+module.exports.checkSources = (field, sourceArray) => {
+  return checkCandidates(field, sourceArray && sourceArray.filter((x) => !isCustomSource(x)));
+};
+
 /**
  * Validate an array of destination region candidates
  *
@@ -61,24 +221,23 @@ module.exports.validateCandidate = validateCandidate;
  * @returns boolean
  */
 module.exports.validateCandidates = (dstCandidateArray) => {
-  if (!dstCandidateArray) {
-    // check against all regions
-    return true;
-  }
-  if (dstCandidateArray.length > MAX_DST_REGION_CANDIDATES) {
-    return false;
-  }
+  return !checkCandidates('dstCandidate', dstCandidateArray);
+};
 
-  try {
-    dstCandidateArray.forEach((x) => {
-      if (!validateCandidate(x)) {
-        throw new Error('Bad Request');
-      }
-    });
-    return true;
-  } catch (error) {
-    return false;
+/**
+ * Get all values of a query parameter which can be repeated
+ *
+ * @param {*} event API Gateway event
+ * @param {*} name query parameter name, e.g. "dstCandidate"
+ * @returns an array of values, e.g. ["aws@us-west-1","aws@ap-east-1"], or undefined if the parameter is not set
+ */
+module.exports.getMultiValueParameter = (event, name) => {
+  const values = event.multiValueQueryStringParameters && event.multiValueQueryStringParameters[name];
+  if (values) {
+    return values;
   }
+  const value = event.queryStringParameters && event.queryStringParameters[name];
+  return value ? [value] : undefined;
 };
 
 /**
@@ -101,27 +260,15 @@ module.exports.validateCandidates = (dstCandidateArray) => {
  * @param {*} cacheKey cache key string
  * @returns cached value string or null
  */
-module.exports.checkCacheAsync = async (cacheKey) => {
-  const params = {
-    TableName: 'CloudHighwayOneCache',
-    Key: {
-      key: cacheKey.toString()
-    }
-  };
-
-  let response;
+const checkCacheAsync = async (cacheKey) => {
   try {
-    response = await docClient.get(params).promise();
+    return await storage.getCache(cacheKey.toString());
   } catch (error) {
     console.error('logtag: 48abed31-aa56-4cc9-9a97-50ebe7755eff', error);
     return null;
   }
-
-  if (response.Item && response.Item.value && response.Item.ttl && response.Item.ttl > Math.floor(Date.now() / 1000)) {
-    return response.Item.value;
-  }
-  return null;
 };
+module.exports.checkCacheAsync = checkCacheAsync;
 
 /**
  * Write to cache database
@@ -129,22 +276,26 @@ module.exports.checkCacheAsync = async (cacheKey) => {
  * @param {*} cacheKey cache key string
  * @param {*} cacheValue value string to becached
  */
-module.exports.writeToCacheAsync = async (cacheKey, cacheValue) => {
-  const params = {
-    TableName: 'CloudHighwayOneCache',
-    Item: {
-      key: cacheKey.toString(),
-      value: cacheValue.toString(),
-      ttl: Math.floor(Date.now() / 1000) + CACHE_TTL_IN_MINUTES * 60
-    }
-  };
-
+const writeToCacheAsync = async (cacheKey, cacheValue) => {
+  const size = Buffer.byteLength(cacheValue.toString());
+  if (size > MAX_CACHE_VALUE_SIZE_IN_BYTES) {
+    console.error(
+      'logtag: 9b4e2c71-6d38-4f05-a2c9-5e1f7a3d8b60',
+      `Not caching ${cacheKey}, its value has ${size} bytes`
+    );
+    return;
+  }
   try {
-    await docClient.put(params).promise();
+    await storage.putCache(
+      cacheKey.toString(),
+      cacheValue.toString(),
+      Math.floor(Date.now() / 1000) + CACHE_TTL_IN_MINUTES * 60
+    );
   } catch (error) {
     console.error('logtag: 0258c475-50fa-4654-af2a-ac6e19cf210b', `Writing to cache failed: ${error}`);
   }
 };
+module.exports.writeToCacheAsync = writeToCacheAsync;
 
 /**
  * Create cache key for different types of database requests
@@ -153,16 +304,23 @@ module.exports.writeToCacheAsync = async (cacheKey, cacheValue) => {
  * @param {*} original see the comments below for the required schema for each request type
  * @returns cache key or null if invalid type
  */
-module.exports.createCacheKey = (requestType, original) => {
+const createCacheKey = (requestType, original) => {
   if (requestType === REQUEST_TYPES.LatenciesFromOneRegionToMultiRegionCandidates) {
     // expect 'original' to be in format {src: "aws@us-west-2", dst: ["aws@us-west-1","aws@ap-east-1","aws@eu-central-1"]} and all regions have been validated
     return `${original.src.toString().toLowerCase()}+${original.dst.sort().toString().toLowerCase()}`;
   }
+  if (requestType === REQUEST_TYPES.LatenciesFromMultiRegionCandidatesToOneRegion) {
+    // expect 'original' to be in format {src: ["aws@us-west-1","aws@ap-east-1"], dst: "aws@us-west-2"} and all regions have been validated,
+    // the list of sources comes first so that the key never equals a key of the other direction
+    return `${original.src.sort().toString().toLowerCase()}+${original.dst.toString().toLowerCase()}`;
+  }
   if (requestType === REQUEST_TYPES.AllData) {
-    return 'ALL_DATA';
+    // expect 'original' to be the list of attributes, e.g. ["ping","measuredAt","reachable"]
+    return `ALL_DATA:${original.toString()}`;
   }
   return null;
 };
+module.exports.createCacheKey = createCacheKey;
 
 /**
  * Generate an array of all regions from all providers, except the source region
@@ -170,7 +328,7 @@ module.exports.createCacheKey = (requestType, original) => {
  * @param {*} region A complete source region name, e.g. "aws@us-west-2"
  * @returns An array of region names
  */
-module.exports.generateListOfAllRegionsExceptSelf = (region) => {
+const generateListOfAllRegionsExceptSelf = (region) => {
   const providers = Object.keys(regions);
   const array = [];
   providers.forEach((provider) => {
@@ -184,3 +342,619 @@ module.exports.generateListOfAllRegionsExceptSelf = (region) => {
 
   return array;
 };
+module.exports.generateListOfAllRegionsExceptSelf = generateListOfAllRegionsExceptSelf;
+
+/**
+ * Parse a timestamp query parameter
+ *
+ * @param {*} value ISO 8601 date string (e.g. "2020-08-01T00:00:00Z") or milliseconds since epoch (e.g. "1596240000000")
+ * @returns Date object or null if invalid
+ */
+module.exports.parseTimestamp = (value) => {
+  if (!value) {
+    return null;
+  }
+  const date = /^\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return null;
+  }
+  return date;
+};
+
+/**
+ * Pick the latency statistics from a database item
+ *
+ * Statistics missing from the item (e.g. measured before they were introduced) are left out.
+ *
+ * @param {*} item database item, e.g. { srcRegion: 'aws@us-west-2', dstRegion: 'aws@us-west-1', ping: 45, minPing: 44.1, ... }
+ * @returns e.g. { ping: 45, minPing: 44.1, maxPing: 46.2, stddev: 0.7, packetLoss: 0, p50: 45.3, p90: 47.1, p99: 52.9 }
+ */
+const pickLatencyStatistics = (item) => {
+  const statistics = {};
+  LATENCY_STATISTICS.forEach((x) => {
+    if (item[x] !== undefined) {
+      statistics[x] = item[x];
+    }
+  });
+  return statistics;
+};
+module.exports.pickLatencyStatistics = pickLatencyStatistics;
+
+/**
+ * Attributes to read latency statistics, besides the region names
+ *
+ * e.g. ["ping", "minPing", "maxPing", "stddev", "packetLoss", "p50", "p90", "p99", "measuredAt", "dnsTime", ...]
+ */
+const LATENCY_ATTRIBUTES = [
+  ...LATENCY_STATISTICS,
+  'measuredAt',
+  ...Object.values(HTTPS_METRICS),
+  'httpsMeasuredAt',
+  'reachable'
+];
+module.exports.LATENCY_ATTRIBUTES = LATENCY_ATTRIBUTES;
+
+/**
+ * Validate the optional maximum age of measurements
+ *
+ * @param {*} maxAgeMinutes query parameter string, e.g. "60"
+ * @returns boolean
+ */
+const validateMaxAgeMinutes = (maxAgeMinutes) => {
+  if (maxAgeMinutes === undefined || maxAgeMinutes === null) {
+    return true;
+  }
+  return /^\d+$/.test(maxAgeMinutes) && Number(maxAgeMinutes) > 0;
+};
+module.exports.validateMaxAgeMinutes = validateMaxAgeMinutes;
+
+/**
+ * Return the details of an invalid maximum age of measurements
+ *
+ * @param {*} maxAgeMinutes query parameter string, e.g. "60"
+ * @returns error details, or null if it is valid
+ */
+module.exports.checkMaxAgeMinutes = (maxAgeMinutes) => {
+  return checkParameter('maxAgeMinutes', validateMaxAgeMinutes(maxAgeMinutes), 'must be a positive integer');
+};
+
+/**
+ * Check whether a measurement is older than the maximum age
+ *
+ * Measurements without a timestamp (written before timestamps were introduced) are always stale.
+ *
+ * @param {*} measuredAt ISO 8601 timestamp of the measurement, e.g. "2020-08-01T00:00:00.512Z"
+ * @param {*} maxAgeMinutes maximum age in minutes
+ * @returns boolean
+ */
+const isStale = (measuredAt, maxAgeMinutes) => {
+  if (!measuredAt) {
+    return true;
+  }
+  return Date.now() - new Date(measuredAt).getTime() > Number(maxAgeMinutes) * 60 * 1000;
+};
+module.exports.isStale = isStale;
+
+/**
+ * Pick the measurement time and latency statistics from a database item
+ *
+ * @param {*} item database item, e.g. { srcRegion: 'aws@us-west-2', dstRegion: 'aws@us-west-1', ping: 45, ..., measuredAt: '2020-08-01T00:00:00.512Z' }
+ * @param {*} maxAgeMinutes optional, flag the measurement with `stale` if it is specified
+ * @returns e.g. { ping: 45, ..., measuredAt: '2020-08-01T00:00:00.512Z', reachable: true, stale: false },
+ * `reachable` is left out for items written before reachability was recorded
+ */
+const pickMeasurement = (item, maxAgeMinutes) => {
+  const measurement = {
+    ...pickLatencyStatistics(item),
+    measuredAt: item.measuredAt || null
+  };
+  if (typeof item.reachable === 'boolean') {
+    measurement.reachable = item.reachable;
+  }
+  if (maxAgeMinutes) {
+    measurement.stale = isStale(item.measuredAt, maxAgeMinutes);
+  }
+  return measurement;
+};
+module.exports.pickMeasurement = pickMeasurement;
+
+/**
+ * Rank destinations by ping among database items, lowest first
+ *
+ * Destinations which failed their last probe (`reachable: false`) are skipped.
+ *
+ * @param {*} items e.g. [{ dstRegion: 'aws@us-west-1', ping: 45, measuredAt: '2020-08-01T00:00:00.512Z' }, ...]
+ * @param {*} options excludedRegion: a region name to skip (e.g. the source region itself),
+ * maxAgeMinutes: skip measurements older than this
+ * @returns the items ordered by ping, an empty array if there is none
+ */
+module.exports.rankDestinations = (items, { excludedRegion, maxAgeMinutes } = {}) => {
+  return items
+    .filter((x) => {
+      if (excludedRegion && x.dstRegion === excludedRegion) {
+        return false;
+      }
+      if (maxAgeMinutes && isStale(x.measuredAt, maxAgeMinutes)) {
+        return false;
+      }
+      return x.reachable !== false && !Number.isNaN(Number(x.ping));
+    })
+    .sort((a, b) => Number(a.ping) - Number(b.ping));
+};
+
+/**
+ * List the regions without a measurement in a set of database items
+ *
+ * @param {*} regionNames the regions which should have been measured, e.g. ["aws@us-west-1","aws@ap-east-1"]
+ * @param {*} items database items, e.g. [{ dstRegion: 'aws@us-west-1', ping: 45, ... }]
+ * @param {*} attribute the attribute of the items with the region name, "dstRegion" (default) or "srcRegion"
+ * @returns the region names without an item, e.g. ["aws@ap-east-1"]
+ */
+module.exports.listMissingRegions = (regionNames, items, attribute = 'dstRegion') => {
+  const found = new Set(items.map((x) => x[attribute]));
+  return [...new Set(regionNames.map((x) => x.toLowerCase()))].filter((x) => !found.has(x));
+};
+
+/**
+ * Validate the optional limit parameter
+ *
+ * @param {*} limit query parameter string, e.g. "3"
+ * @param {*} max the largest allowed limit
+ * @returns boolean
+ */
+const validateLimit = (limit, max) => {
+  if (limit === undefined || limit === null) {
+    return true;
+  }
+  return /^\d+$/.test(limit) && Number(limit) > 0 && Number(limit) <= max;
+};
+module.exports.validateLimit = validateLimit;
+
+/**
+ * Return the details of an invalid limit
+ *
+ * @param {*} field parameter name, e.g. "limit"
+ * @param {*} limit query parameter string, e.g. "3"
+ * @param {*} max the largest allowed limit
+ * @returns error details, or null if it is valid
+ */
+module.exports.checkLimit = (field, limit, max) => {
+  return checkParameter(field, validateLimit(limit, max), `must be an integer from 1 to ${max}`);
+};
+
+/**
+ * Validate the optional mode parameter
+ *
+ * @param {*} mode "directional" or "symmetric"
+ * @returns boolean
+ */
+const validateMode = (mode) => {
+  if (mode === undefined || mode === null) {
+    return true;
+  }
+  return MODES.includes(mode);
+};
+module.exports.validateMode = validateMode;
+
+/**
+ * Return the details of an invalid mode
+ *
+ * @param {*} mode "directional" or "symmetric"
+ * @returns error details, or null if it is valid
+ */
+module.exports.checkMode = (mode) => {
+  return checkParameter('mode', validateMode(mode), 'must be one of the allowed values', {
+    allowedValues: MODES,
+    value: mode
+  });
+};
+
+/**
+ * Put both directions of the latency between two regions side by side
+ *
+ * @param {*} forward measurement from region A to region B, e.g. { ping: 143.9680204, ..., measuredAt: '2020-08-01T00:00:00.512Z' }, or null if not measured
+ * @param {*} reverse measurement from region B to region A, or null if not measured
+ * @returns e.g. { forward: { ping: 143.9680204, ... }, reverse: { ping: 141.0012983, ... }, meanPing: 142.48465935, asymmetry: 2.9667221 },
+ * `asymmetry` is the absolute difference between the pings of the two directions. Both are null if a direction has no ping
+ */
+const pairDirections = (forward, reverse) => {
+  const measured = [forward, reverse].every((x) => x && typeof x.ping === 'number');
+  return {
+    forward: forward || null,
+    reverse: reverse || null,
+    meanPing: measured ? (forward.ping + reverse.ping) / 2 : null,
+    asymmetry: measured ? Math.abs(forward.ping - reverse.ping) : null
+  };
+};
+module.exports.pairDirections = pairDirections;
+
+/**
+ * Combine directional measurements into one entry per unordered pair of regions
+ *
+ * The regions of each pair are ordered by name, `forward` is the direction from `src` to `dst`.
+ *
+ * @param {*} data measurements in the getAllData format,
+ * e.g. [{ srcProvider: 'aws', srcRegion: 'us-west-2', dstProvider: 'aws', dstRegion: 'ap-east-1', ping: 125.74213, ... }, ...]
+ * @returns e.g. [{ srcProvider: 'aws', srcRegion: 'ap-east-1', dstProvider: 'aws', dstRegion: 'us-west-2', forward, reverse, meanPing, asymmetry }, ...]
+ */
+module.exports.createSymmetricPairs = (data) => {
+  const directions = {};
+  data.forEach((x) => {
+    const { srcProvider, srcRegion, dstProvider, dstRegion, ...measurement } = x;
+    directions[`${srcProvider}@${srcRegion}+${dstProvider}@${dstRegion}`] = measurement;
+  });
+
+  const pairs = {};
+  Object.keys(directions).forEach((key) => {
+    const [a, b] = key.split('+');
+    const [src, dst] = [a, b].sort();
+    if (!pairs[`${src}+${dst}`]) {
+      pairs[`${src}+${dst}`] = {
+        srcProvider: src.split('@')[0],
+        srcRegion: src.split('@')[1],
+        dstProvider: dst.split('@')[0],
+        dstRegion: dst.split('@')[1],
+        ...pairDirections(directions[`${src}+${dst}`], directions[`${dst}+${src}`])
+      };
+    }
+  });
+
+  return Object.values(pairs);
+};
+
+/**
+ * Validate the optional metric parameter
+ *
+ * @param {*} metric "ping" or one of the HTTPS metrics: "dns", "tcp", "tls", "ttfb"
+ * @returns boolean
+ */
+const validateMetric = (metric) => {
+  if (metric === undefined || metric === null) {
+    return true;
+  }
+  return metric === 'ping' || Object.keys(HTTPS_METRICS).includes(metric);
+};
+module.exports.validateMetric = validateMetric;
+
+/**
+ * Return the details of an invalid metric
+ *
+ * @param {*} metric "ping" or one of the HTTPS metrics: "dns", "tcp", "tls", "ttfb"
+ * @returns error details, or null if it is valid
+ */
+module.exports.checkMetric = (metric) => {
+  return checkParameter('metric', validateMetric(metric), 'must be one of the allowed values', {
+    allowedValues: ['ping', ...Object.keys(HTTPS_METRICS)],
+    value: metric
+  });
+};
+
+/**
+ * Pick a HTTPS metric and its measurement time from a database item
+ *
+ * @param {*} item database item, e.g. { srcRegion: 'aws@us-west-2', dstRegion: 'aws@us-west-1', ttfbTime: 48.8, httpsMeasuredAt: '2020-08-01T00:00:00.512Z', ... }
+ * @param {*} metric one of the HTTPS metrics, e.g. "ttfb"
+ * @param {*} maxAgeMinutes optional, flag the measurement with `stale` if it is specified
+ * @returns e.g. { metric: 'ttfb', value: 48.8, measuredAt: '2020-08-01T00:00:00.512Z', stale: false }
+ */
+module.exports.pickHttpsMetric = (item, metric, maxAgeMinutes) => {
+  const value = item[HTTPS_METRICS[metric]];
+  const measurement = {
+    metric,
+    value: value === undefined ? null : value,
+    measuredAt: item.httpsMeasuredAt || null
+  };
+  if (maxAgeMinutes) {
+    measurement.stale = isStale(item.httpsMeasuredAt, maxAgeMinutes);
+  }
+  return measurement;
+};
+
+/**
+ * Get items of the data table with batchGet, all or nothing
+ *
+ * Use it when a partial set of items would give a wrong answer, e.g. the best of some candidates is not the best of all candidates.
+ *
+ * @param {*} keys distinct keys, e.g. [{ srcRegion: 'aws@us-west-2', dstRegion: 'aws@ap-east-1' }, ...]
+ * @param {*} attributes optional, e.g. LATENCY_ATTRIBUTES
+ * @returns a promise of the items found, in any order.
+ * Rejects if reading from the database failed or keys are left unprocessed after all retries
+ */
+const batchGetAllLatenciesAsync = async (keys, attributes) => {
+  const { items, unprocessedKeys } = await storage.batchGetPairs(keys, { attributes });
+  if (unprocessedKeys.length) {
+    throw new Error(`${unprocessedKeys.length} keys left unprocessed`);
+  }
+  return items;
+};
+module.exports.batchGetAllLatenciesAsync = batchGetAllLatenciesAsync;
+
+/**
+ * Get the latest measurements from a source region to destination regions, from cache or database
+ *
+ * Shares its cache entries with getBestDstRegion and getAllDstRegion. The cache is only involved
+ * when checking against all regions or more than 5 candidates, see checkCacheAsync.
+ *
+ * @param {*} srcRegionName e.g. "aws@us-west-2"
+ * @param {*} dstCandidates optional validated array of destination region names, e.g. ["aws@us-west-1","aws@ap-east-1"].
+ * If not specified, the measurements to all regions (including the source region itself) are returned
+ * @returns a promise of the database items, e.g. [{ dstRegion: 'aws@us-west-1', ping: 45, measuredAt: '2020-08-01T00:00:00.512Z', ... }, ...].
+ * Rejects if reading from the database failed
+ */
+module.exports.getLatenciesFromSourceAsync = async (srcRegionName, dstCandidates) => {
+  const candidates = dstCandidates && [...new Set(dstCandidates.map((x) => x.toLowerCase()))];
+  const useCache = !candidates || candidates.length > 5;
+  const cacheKey =
+    useCache &&
+    createCacheKey(REQUEST_TYPES.LatenciesFromOneRegionToMultiRegionCandidates, {
+      src: srcRegionName,
+      dst: candidates ? [...candidates] : generateListOfAllRegionsExceptSelf(srcRegionName)
+    });
+
+  if (cacheKey) {
+    const cachedValue = await checkCacheAsync(cacheKey);
+    if (cachedValue) {
+      try {
+        return cachedValue.split('|').map((x) => {
+          return JSON.parse(x);
+        });
+      } catch (error) {
+        // the cached value is broken, read from database instead
+        console.error('logtag: 5c0f2b7e-8d14-4a63-b9e1-2f7a6d3c8e05', error);
+      }
+    }
+  }
+
+  let items = [];
+  if (candidates) {
+    items = await batchGetAllLatenciesAsync(
+      candidates.map((candidate) => {
+        return {
+          srcRegion: srcRegionName,
+          dstRegion: candidate
+        };
+      }),
+      LATENCY_ATTRIBUTES
+    );
+  } else {
+    ({ items } = await storage.querySource(srcRegionName, { attributes: LATENCY_ATTRIBUTES }));
+  }
+
+  if (cacheKey && items.length) {
+    await writeToCacheAsync(cacheKey, items.map((x) => JSON.stringify(x)).join('|'));
+  }
+
+  return items;
+};
+
+// attributes of the getAllData format besides the region names
+const ALL_DATA_FIELDS = [...LATENCY_STATISTICS, 'measuredAt', 'reachable'];
+module.exports.ALL_DATA_FIELDS = ALL_DATA_FIELDS;
+
+// attributes needed by the views which only compare pings, e.g. the latency matrix
+const PING_FIELDS = ['ping', 'measuredAt', 'reachable'];
+module.exports.PING_FIELDS = PING_FIELDS;
+
+/**
+ * Encode measurements in the getAllData format compactly, to fit in a cache item
+ *
+ * Region names and timestamps are listed once and referred to by their index, as a run writes the same timestamp
+ * to every pair of its source region.
+ *
+ * @param {*} data e.g. [{ srcProvider: 'aws', srcRegion: 'us-west-2', dstProvider: 'aws', dstRegion: 'ap-east-1', ping: 125.74213, measuredAt: '2020-08-01T00:00:00.512Z' }]
+ * @param {*} fields attributes to keep, e.g. ["ping", "measuredAt"]
+ * @returns e.g. '{"strings":["aws@us-west-2","aws@ap-east-1","2020-08-01T00:00:00.512Z"],"rows":[[0,1,125.74213,2]]}',
+ * each row has the indexes of the source and destination region followed by the fields. Missing values are null
+ */
+const encodeAllData = (data, fields) => {
+  const strings = [];
+  const indexes = {};
+  const indexOf = (value) => {
+    if (indexes[value] === undefined) {
+      indexes[value] = strings.length;
+      strings.push(value);
+    }
+    return indexes[value];
+  };
+
+  const rows = data.map((x) => {
+    return [
+      indexOf(`${x.srcProvider}@${x.srcRegion}`),
+      indexOf(`${x.dstProvider}@${x.dstRegion}`),
+      ...fields.map((field) => {
+        if (x[field] === undefined || x[field] === null) {
+          return null;
+        }
+        return field === 'measuredAt' ? indexOf(x[field]) : x[field];
+      })
+    ];
+  });
+
+  return JSON.stringify({ strings, rows });
+};
+
+/**
+ * Decode measurements encoded by encodeAllData
+ *
+ * @param {*} value see encodeAllData
+ * @param {*} fields the attributes the value was encoded with
+ * @returns measurements in the getAllData format, missing values are left out except for `measuredAt` which is null
+ */
+const decodeAllData = (value, fields) => {
+  const { strings, rows } = JSON.parse(value);
+  return rows.map(([src, dst, ...values]) => {
+    const measurement = {
+      srcProvider: strings[src].split('@')[0],
+      srcRegion: strings[src].split('@')[1],
+      dstProvider: strings[dst].split('@')[0],
+      dstRegion: strings[dst].split('@')[1]
+    };
+    fields.forEach((field, i) => {
+      if (field === 'measuredAt') {
+        measurement.measuredAt = values[i] === null ? null : strings[values[i]];
+      } else if (values[i] !== null) {
+        measurement[field] = values[i];
+      }
+    });
+    return measurement;
+  });
+};
+
+/**
+ * Get the latest measurements of all source -> destination pairs, from cache or database
+ *
+ * This is an expensive scan of the whole data table, the result is cached in a compact form per list of attributes.
+ * Ask for as few attributes as possible: the cache of all of them may be too large to be written.
+ *
+ * @param {*} fields optional attributes to read besides the region names, some of ALL_DATA_FIELDS, e.g. PING_FIELDS.
+ * Defaults to ALL_DATA_FIELDS
+ * @returns a promise of the measurements in random order, e.g.
+ * [{ srcProvider: 'aws', srcRegion: 'us-west-2', dstProvider: 'aws', dstRegion: 'ap-east-1', ping: 125.74213, ..., measuredAt: '2020-08-01T00:00:00.512Z' }, ...].
+ * Rejects if reading from the database failed
+ */
+module.exports.getAllDataAsync = async (fields = ALL_DATA_FIELDS) => {
+  const cacheKey = createCacheKey(REQUEST_TYPES.AllData, fields);
+
+  const cachedValue = await checkCacheAsync(cacheKey);
+  if (cachedValue) {
+    console.log('logtag: 1d0f40fd-30fe-4f91-b4f1-1f944723440f', 'cache hit');
+    try {
+      return decodeAllData(cachedValue, fields);
+    } catch (error) {
+      // the cached value is broken, read from database instead
+      console.error('logtag: 7d3e9f10-52c4-4b8e-a1f6-0c9d2e8b4a73', error);
+    }
+  }
+  console.log('logtag: 3d81592a-25b9-42f2-ba0d-f0e38d166c3d', 'cache miss');
+
+  const { items } = await storage.scanAll({ attributes: fields });
+
+  const data = items.map((x) => {
+    const measurement = pickMeasurement(x);
+    const picked = {
+      srcProvider: x.srcRegion.split('@')[0],
+      srcRegion: x.srcRegion.split('@')[1],
+      dstProvider: x.dstRegion.split('@')[0],
+      dstRegion: x.dstRegion.split('@')[1]
+    };
+    fields.forEach((field) => {
+      if (measurement[field] !== undefined) {
+        picked[field] = measurement[field];
+      }
+    });
+    return picked;
+  });
+
+  await writeToCacheAsync(cacheKey, encodeAllData(data, fields));
+
+  return data;
+};
+
+/**
+ * Get the latest measurements from all other regions to a destination region, from cache or database
+ *
+ * @param {*} dstRegionName e.g. "aws@us-west-2"
+ * @returns a promise of the database items, e.g. [{ srcRegion: 'aws@us-west-1', ping: 45, measuredAt: '2020-08-01T00:00:00.512Z', ... }, ...].
+ * Rejects if reading from the database failed
+ */
+module.exports.getLatenciesToDestinationAsync = async (dstRegionName) => {
+  const sources = generateListOfAllRegionsExceptSelf(dstRegionName);
+  const cacheKey = createCacheKey(REQUEST_TYPES.LatenciesFromMultiRegionCandidatesToOneRegion, {
+    src: [...sources],
+    dst: dstRegionName
+  });
+
+  const cachedValue = await checkCacheAsync(cacheKey);
+  if (cachedValue) {
+    try {
+      return cachedValue.split('|').map((x) => {
+        return JSON.parse(x);
+      });
+    } catch (error) {
+      // the cached value is broken, read from database instead
+      console.error('logtag: 9a4f7c2e-1b6d-4e85-a3c0-5d8e2f6b1a97', error);
+    }
+  }
+
+  const items = await batchGetAllLatenciesAsync(
+    sources.map((source) => {
+      return {
+        srcRegion: source,
+        dstRegion: dstRegionName
+      };
+    }),
+    LATENCY_ATTRIBUTES
+  );
+
+  if (items.length) {
+    await writeToCacheAsync(cacheKey, items.map((x) => JSON.stringify(x)).join('|'));
+  }
+
+  return items;
+};
+
+/**
+ * Pivot measurements into a dense matrix
+ *
+ * Measurements which are unreachable or, if `maxAgeMinutes` is specified, older than that are left out.
+ *
+ * @param {*} data measurements in the getAllData format,
+ * e.g. [{ srcProvider: 'aws', srcRegion: 'us-west-2', dstProvider: 'aws', dstRegion: 'ap-east-1', ping: 125.74213, ... }, ...]
+ * @param {*} options maxAgeMinutes: leave out measurements older than this,
+ * regions: the region names of the rows and columns, e.g. ["aws@us-west-2","aws@ap-east-1"], defaults to all supported regions and the regions in the data
+ * @returns { regions, pings } with the region names sorted by name and the pings from each region (row) to each region (column),
+ * e.g. { regions: ['aws@ap-east-1', 'aws@us-west-2'], pings: [[1.0213, 125.9981], [125.74213, null]] }, null if not measured
+ */
+module.exports.createLatencyMatrix = (data, { maxAgeMinutes, regions: regionNames } = {}) => {
+  let names = regionNames;
+  if (!names) {
+    names = [];
+    Object.keys(regions).forEach((provider) => {
+      regions[provider].forEach((x) => {
+        names.push(`${provider}@${x}`);
+      });
+    });
+    data.forEach((x) => {
+      names.push(`${x.srcProvider}@${x.srcRegion}`, `${x.dstProvider}@${x.dstRegion}`);
+    });
+  }
+  const sortedNames = [...new Set(names.map((x) => x.toLowerCase()))].sort();
+
+  const indexes = {};
+  sortedNames.forEach((x, i) => {
+    indexes[x] = i;
+  });
+  const pings = sortedNames.map(() => sortedNames.map(() => null));
+
+  data.forEach((x) => {
+    const row = indexes[`${x.srcProvider}@${x.srcRegion}`];
+    const column = indexes[`${x.dstProvider}@${x.dstRegion}`];
+    if (
+      row === undefined ||
+      column === undefined ||
+      typeof x.ping !== 'number' ||
+      x.reachable === false ||
+      (maxAgeMinutes && isStale(x.measuredAt, maxAgeMinutes))
+    ) {
+      return;
+    }
+    pings[row][column] = x.ping;
+  });
+
+  return { regions: sortedNames, pings };
+};
+
+/**
+ * Format a latency matrix as delimiter-separated values with a header row and a header column
+ *
+ * @param {*} matrix see createLatencyMatrix
+ * @param {*} delimiter e.g. "," or "\t"
+ * @returns e.g. "src/dst,aws@ap-east-1,aws@us-west-2\naws@ap-east-1,1.0213,125.9981\naws@us-west-2,125.74213,\n", missing pings are empty
+ */
+module.exports.formatLatencyMatrix = ({ regions: regionNames, pings }, delimiter) => {
+  const lines = [['src/dst', ...regionNames].join(delimiter)];
+  regionNames.forEach((x, i) => {
+    lines.push([x, ...pings[i].map((y) => (y === null ? '' : y))].join(delimiter));
+  });
+  return `${lines.join('\n')}\n`;
+};
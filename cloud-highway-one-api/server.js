@@ -0,0 +1,230 @@
+const http = require('http');
+const {
+  DEFAULT_SERVER_PORT,
+  MAX_REQUEST_BODY_SIZE_IN_BYTES,
+  SHUTDOWN_TIMEOUT_IN_MILLISECONDS,
+  ERROR_CODES
+} = require('./constants');
+const {
+  createError,
+  invalidBody,
+  notFound,
+  createErrorResponse,
+  badRequest,
+  internalServerError
+} = require('./errors');
+
+/**
+ * Routes of the standalone server -> handler, the same as the http events in serverless.yml
+ *
+ * Handlers are loaded on first use, like a Lambda function only loads its own handler.
+ */
+const ROUTES = {
+  'GET /getLatency': ['./api/getLatency', 'interRegionalLatency'],
+  'GET /getLatencyHistory': ['./api/getLatencyHistory', 'getLatencyHistory'],
+  'GET /getBestDstRegion': ['./api/getBestDstRegion', 'getBestDestinationRegionFromSourceRegion'],
+  'GET /getAllDstRegion': ['./api/getAllDstRegion', 'getAllInterRegionalLatenciesFromSourceRegion'],
+  'GET /getAllData': ['./api/getAllData', 'getAllData'],
+  'GET /getRegionStatus': ['./api/getRegionStatus', 'getRegionStatus'],
+  'GET /getBestMeetingPoint': ['./api/getBestMeetingPoint', 'getBestMeetingPoint'],
+  'GET /getBestPath': ['./api/getBestPath', 'getBestPath'],
+  'GET /getRegionsWithinLatency': ['./api/getRegionsWithinLatency', 'getRegionsWithinLatency'],
+  'GET /getAsymmetryReport': ['./api/getAsymmetryReport', 'getAsymmetryReport'],
+  'GET /getHeatmap': ['./api/getHeatmap', 'getHeatmap'],
+  'POST /getLatencies': ['./api/getLatencies', 'getLatencies'],
+  'GET /listRegions': ['./api/listRegions', 'listRegions']
+};
+
+/**
+ * Translate an HTTP request into the event of an API Gateway Lambda proxy integration
+ *
+ * Repeated query string parameters (e.g. `dstCandidate`) are all kept in `multiValueQueryStringParameters`,
+ * `queryStringParameters` has the last value of each like API Gateway. Both are null if there is no query string.
+ *
+ * @param {*} request http.IncomingMessage
+ * @param {*} url the parsed request URL
+ * @param {*} body request body string
+ * @returns event, e.g. { httpMethod: 'GET', path: '/getBestDstRegion', queryStringParameters: { srcProvider: 'aws', ... },
+ * multiValueQueryStringParameters: { srcProvider: ['aws'], dstCandidate: ['aws@us-west-1', 'aws@ap-east-1'], ... }, headers, body: null, isBase64Encoded: false }
+ */
+const createEvent = (request, url, body) => {
+  let queryStringParameters = null;
+  let multiValueQueryStringParameters = null;
+  url.searchParams.forEach((value, name) => {
+    queryStringParameters = { ...queryStringParameters, [name]: value };
+    multiValueQueryStringParameters = {
+      ...multiValueQueryStringParameters,
+      [name]: [...((multiValueQueryStringParameters && multiValueQueryStringParameters[name]) || []), value]
+    };
+  });
+
+  return {
+    httpMethod: request.method,
+    path: url.pathname,
+    headers: request.headers,
+    queryStringParameters,
+    multiValueQueryStringParameters,
+    body: body || null,
+    isBase64Encoded: false
+  };
+};
+
+/**
+ * Read the body of a request
+ *
+ * @param {*} request http.IncomingMessage
+ * @returns a promise of the body string, or null if it is larger than MAX_REQUEST_BODY_SIZE_IN_BYTES
+ */
+const readBodyAsync = (request) => {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on('data', (chunk) => {
+      size += chunk.length;
+      if (size <= MAX_REQUEST_BODY_SIZE_IN_BYTES) {
+        chunks.push(chunk);
+      }
+    });
+    request.on('end', () => {
+      resolve(size <= MAX_REQUEST_BODY_SIZE_IN_BYTES ? Buffer.concat(chunks).toString() : null);
+    });
+    request.on('error', reject);
+  });
+};
+
+/**
+ * Handle a request: find its route and call the handler with an API Gateway event
+ *
+ * @param {*} request http.IncomingMessage
+ * @returns a promise of the API Gateway response, e.g. { statusCode: 200, headers: { 'Content-Type': 'image/svg+xml' }, body: '...' }
+ */
+const handleRequestAsync = async (request) => {
+  let url;
+  try {
+    url = new URL(request.url, 'http://localhost');
+  } catch (error) {
+    // e.g. "GET //[ HTTP/1.1"
+    return badRequest(createError(ERROR_CODES.InvalidParameter, 'Invalid request URL'));
+  }
+
+  if (url.pathname === '/health') {
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ status: 'ok' }, null, 2)
+    };
+  }
+
+  const route = ROUTES[`${request.method} ${url.pathname}`];
+  if (!route) {
+    return createErrorResponse(404, notFound(`No route for ${request.method} ${url.pathname}`));
+  }
+
+  try {
+    const body = await readBodyAsync(request);
+    if (body === null) {
+      return createErrorResponse(
+        413,
+        invalidBody(`must not be larger than ${MAX_REQUEST_BODY_SIZE_IN_BYTES / 1024 / 1024} MB`)
+      );
+    }
+
+    const [modulePath, name] = route;
+    // eslint-disable-next-line global-require, import/no-dynamic-require
+    return await require(modulePath)[name](createEvent(request, url, body));
+  } catch (error) {
+    // the request was aborted, or a handler failed without returning its own error
+    console.error('logtag: 3f8a6d21-c7e4-4b59-9a02-e61d5b8c4f37', error);
+    return internalServerError();
+  }
+};
+
+/**
+ * Create an HTTP server serving the API without API Gateway and Lambda
+ *
+ * There is no authorizer: run it in a private network or behind a proxy which authenticates the requests.
+ *
+ * @returns http.Server with a `shutdownAsync()` method which stops accepting connections, lets the requests in flight finish
+ * (for up to SHUTDOWN_TIMEOUT_IN_MILLISECONDS) and closes idle keep-alive connections
+ */
+const createServer = () => {
+  // socket -> number of requests in flight on it
+  const sockets = new Map();
+  let shuttingDown = false;
+
+  const server = http.createServer(async (request, response) => {
+    const { socket } = request;
+    sockets.set(socket, sockets.get(socket) + 1);
+
+    // the listener must never reject: an unhandled rejection would stop the whole server
+    try {
+      const result = await handleRequestAsync(request);
+      response.writeHead(result.statusCode, {
+        'Content-Type': 'application/json',
+        ...result.headers,
+        ...(shuttingDown ? { Connection: 'close' } : {})
+      });
+      response.end(result.body);
+    } catch (error) {
+      console.error('logtag: 2a7d9f04-b6e1-4c38-8f5a-d3c0e6b1a972', error);
+      if (response.headersSent) {
+        response.destroy();
+      } else {
+        const result = internalServerError();
+        response.writeHead(result.statusCode, { 'Content-Type': 'application/json', Connection: 'close' });
+        response.end(result.body);
+      }
+    }
+
+    sockets.set(socket, sockets.get(socket) - 1);
+    if (shuttingDown && !sockets.get(socket)) {
+      socket.end();
+    }
+  });
+
+  server.on('connection', (socket) => {
+    sockets.set(socket, 0);
+    socket.on('close', () => {
+      sockets.delete(socket);
+    });
+  });
+
+  server.shutdownAsync = () => {
+    shuttingDown = true;
+    return new Promise((resolve) => {
+      const timeout = setTimeout(() => {
+        console.error('logtag: 8d2c5e7f-1a94-4b36-b0f8-2e9c7d4a6153', `closing ${sockets.size} connections`);
+        sockets.forEach((requests, socket) => {
+          socket.destroy();
+        });
+      }, SHUTDOWN_TIMEOUT_IN_MILLISECONDS);
+      server.close(() => {
+        clearTimeout(timeout);
+        resolve();
+      });
+      sockets.forEach((requests, socket) => {
+        if (!requests) {
+          socket.end();
+        }
+      });
+    });
+  };
+
+  return server;
+};
+module.exports.createServer = createServer;
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || DEFAULT_SERVER_PORT;
+  const server = createServer();
+  server.listen(port, () => {
+    console.log('logtag: 0c6b9e48-5f13-4a7d-8e21-94d3b7f0a5c6', `listening on port ${port}`);
+  });
+
+  ['SIGTERM', 'SIGINT'].forEach((signal) => {
+    process.once(signal, async () => {
+      console.log('logtag: 6e1f4a93-2b8d-4c57-a3e0-7f5d9c2b8e14', `${signal} received, shutting down`);
+      await server.shutdownAsync();
+      process.exit(0);
+    });
+  });
+}
@@ -0,0 +1,250 @@
+const fs = require('fs');
+const { providers } = require('cloud-highway-one-common');
+const { PING_ATTEMPTS, PROBE_TIMEOUT_IN_MILLISECONDS, DEFAULT_COLLECTOR_INTERVAL_IN_MINUTES } = require('./constants');
+
+// "<provider or site>@<region or location>", e.g. "aws@us-west-2" or "onprem@frankfurt-dc1"
+const SOURCE_PATTERN = /^[a-z0-9-]+@[a-z0-9-]+$/;
+
+// probe settings which can be set for all targets and overridden for some of them
+const SETTINGS = [
+  'intervalMinutes',
+  'attempts',
+  'timeoutMilliseconds',
+  'port',
+  'host',
+  'httpsPort',
+  'caFile',
+  'rejectUnauthorized'
+];
+
+/**
+ * Create the list of regions to probe
+ *
+ * @param {*} names optional provider names and region names, e.g. ["gcp", "aws@us-west-2", "aws@eu-central-1"].
+ * If not specified, all regions of all providers are probed
+ * @returns targets, e.g. [{ provider, region: 'us-west-2' }, ...] where provider is the provider module, see cloud-highway-one-common/providers.
+ * Throws if a name is neither a provider nor a region
+ */
+const listTargets = (names) => {
+  const targets = [];
+  const add = (provider, region) => {
+    if (!targets.some((x) => x.provider === provider && x.region === region)) {
+      targets.push({ provider, region });
+    }
+  };
+
+  if (!names) {
+    Object.values(providers).forEach((provider) => {
+      provider.regions.forEach(({ code }) => {
+        add(provider, code);
+      });
+    });
+    return targets;
+  }
+
+  names.forEach((name) => {
+    const [providerName, region] = name.toLowerCase().split('@');
+    const provider = providers[providerName];
+    if (provider && region === undefined) {
+      provider.regions.forEach(({ code }) => {
+        add(provider, code);
+      });
+    } else if (provider && provider.regions.some((x) => x.code === region)) {
+      add(provider, region);
+    } else {
+      throw new Error(
+        `Unknown target "${name}", use a provider name (e.g. "aws") or a region name (e.g. "aws@us-west-2")`
+      );
+    }
+  });
+  return targets;
+};
+module.exports.listTargets = listTargets;
+
+/**
+ * Check the probe settings of the config or of an override
+ *
+ * @param {*} settings e.g. { intervalMinutes: 5, attempts: 10 }
+ * @param {*} name where the settings come from, for the error message, e.g. "overrides[0]"
+ * Throws if a setting is invalid
+ */
+const checkSettings = (settings, name) => {
+  const invalid = (setting, reason) => {
+    return new Error(`"${setting}" of ${name} ${reason}`);
+  };
+  const {
+    intervalMinutes,
+    attempts,
+    timeoutMilliseconds,
+    port,
+    host,
+    httpsPort,
+    caFile,
+    rejectUnauthorized
+  } = settings;
+  if (intervalMinutes !== undefined && !(typeof intervalMinutes === 'number' && intervalMinutes > 0)) {
+    throw invalid('intervalMinutes', 'must be a positive number');
+  }
+  if (attempts !== undefined && !(Number.isInteger(attempts) && attempts > 0)) {
+    throw invalid('attempts', 'must be a positive integer');
+  }
+  if (timeoutMilliseconds !== undefined && !(typeof timeoutMilliseconds === 'number' && timeoutMilliseconds > 0)) {
+    throw invalid('timeoutMilliseconds', 'must be a positive number');
+  }
+  if (port !== undefined && !(Number.isInteger(port) && port > 0 && port < 65536)) {
+    throw invalid('port', 'must be an integer between 1 and 65535');
+  }
+  if (host !== undefined && !(typeof host === 'string' && host)) {
+    throw invalid('host', 'must be a host name or an IP address');
+  }
+  if (httpsPort !== undefined && !(Number.isInteger(httpsPort) && httpsPort > 0 && httpsPort < 65536)) {
+    throw invalid('httpsPort', 'must be an integer between 1 and 65535');
+  }
+  if (caFile !== undefined && !(typeof caFile === 'string' && caFile)) {
+    throw invalid('caFile', 'must be the path of a PEM file');
+  }
+  if (rejectUnauthorized !== undefined && typeof rejectUnauthorized !== 'boolean') {
+    throw invalid('rejectUnauthorized', 'must be true or false');
+  }
+};
+
+/**
+ * Pick the probe settings of an object, leaving out the ones which are not set
+ *
+ * @param {*} object e.g. { targets: ['aws@eu-central-1'], intervalMinutes: 5 }
+ * @returns e.g. { intervalMinutes: 5 }
+ */
+const pickSettings = (object) => {
+  const settings = {};
+  SETTINGS.forEach((x) => {
+    if (object[x] !== undefined) {
+      settings[x] = object[x];
+    }
+  });
+  return settings;
+};
+
+/**
+ * Read the config of the collector, from an optional JSON file and environment variables
+ *
+ * The file (COLLECTOR_CONFIG_FILE) has these optional attributes, e.g.
+ * {
+ *   source: 'onprem@frankfurt-dc1',
+ *   targets: ['aws', 'gcp'],
+ *   intervalMinutes: 60,
+ *   attempts: 5,
+ *   timeoutMilliseconds: 5000,
+ *   port: 443,
+ *   overrides: [{ targets: ['aws@eu-central-1', 'gcp@europe-west3'], intervalMinutes: 5, attempts: 10 }]
+ * }
+ *
+ * - source: where the collector runs, which is the source region of its measurements. A region name of a provider (e.g. "aws@us-west-2")
+ *   or any other name in the same format (e.g. "onprem@frankfurt-dc1"). Only used by the standalone collector, the Lambda and
+ *   Cloud Functions use the region they run in
+ * - targets: provider names and region names to probe. Defaults to all regions of all providers
+ * - intervalMinutes: time between two probes of a target, defaults to DEFAULT_COLLECTOR_INTERVAL_IN_MINUTES
+ * - attempts: number of pings per probe, defaults to PING_ATTEMPTS
+ * - timeoutMilliseconds: timeout of each ping, defaults to PROBE_TIMEOUT_IN_MILLISECONDS
+ * - port: port to ping, defaults to the port of the provider's probe, see cloud-highway-one-common/providers
+ * - host: endpoint to probe instead of the provider's endpoint of the region, e.g. "localhost" to try the probes against a local server
+ * - httpsPort: port of the HTTPS probe, defaults to the port of the provider's HTTPS endpoint
+ * - caFile: path of PEM certificates to trust in the HTTPS probe besides the well-known ones, e.g. of a server with a self-signed certificate
+ * - rejectUnauthorized: false to accept any certificate in the HTTPS probe, defaults to true
+ * - overrides: other settings for some targets, each with the provider names and region names it applies to.
+ *   A later override wins over an earlier one
+ *
+ * The environment variables COLLECTOR_SOURCE, COLLECTOR_TARGETS (comma separated), COLLECTOR_INTERVAL_MINUTES, COLLECTOR_ATTEMPTS,
+ * COLLECTOR_TIMEOUT_MILLISECONDS, COLLECTOR_PORT, COLLECTOR_HOST, COLLECTOR_HTTPS_PORT, COLLECTOR_CA_FILE and
+ * COLLECTOR_REJECT_UNAUTHORIZED ("true" or "false") take precedence over the file, but not over the overrides.
+ *
+ * @param {*} env e.g. process.env
+ * @returns e.g. { source: 'onprem@frankfurt-dc1', targets: [{ provider, region: 'eu-central-1', settings: { intervalMinutes: 5, attempts: 10, timeoutMilliseconds: 5000 } }, ...] }.
+ * The certificates of `caFile` are read into `settings.ca`.
+ * Throws if the config is invalid
+ */
+module.exports.readCollectorConfig = (env) => {
+  let file = {};
+  if (env.COLLECTOR_CONFIG_FILE) {
+    try {
+      file = JSON.parse(fs.readFileSync(env.COLLECTOR_CONFIG_FILE, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read the collector config file ${env.COLLECTOR_CONFIG_FILE}: ${error.message}`);
+    }
+  }
+
+  const source = (env.COLLECTOR_SOURCE || file.source || '').toLowerCase() || undefined;
+  if (source && !SOURCE_PATTERN.test(source)) {
+    throw new Error(`Invalid source "${source}", use a name like "aws@us-west-2" or "onprem@frankfurt-dc1"`);
+  }
+
+  const fromEnv = (name, parse = Number) => {
+    return env[name] !== undefined && env[name] !== '' ? parse(env[name]) : undefined;
+  };
+  const parseBoolean = (value) => {
+    // anything else is kept for checkSettings to reject
+    const parsed = { true: true, false: false }[value.toLowerCase()];
+    return parsed === undefined ? value : parsed;
+  };
+  const defaults = {
+    intervalMinutes: DEFAULT_COLLECTOR_INTERVAL_IN_MINUTES,
+    attempts: PING_ATTEMPTS,
+    timeoutMilliseconds: PROBE_TIMEOUT_IN_MILLISECONDS,
+    ...pickSettings(file),
+    ...pickSettings({
+      intervalMinutes: fromEnv('COLLECTOR_INTERVAL_MINUTES'),
+      attempts: fromEnv('COLLECTOR_ATTEMPTS'),
+      timeoutMilliseconds: fromEnv('COLLECTOR_TIMEOUT_MILLISECONDS'),
+      port: fromEnv('COLLECTOR_PORT'),
+      host: fromEnv('COLLECTOR_HOST', String),
+      httpsPort: fromEnv('COLLECTOR_HTTPS_PORT'),
+      caFile: fromEnv('COLLECTOR_CA_FILE', String),
+      rejectUnauthorized: fromEnv('COLLECTOR_REJECT_UNAUTHORIZED', parseBoolean)
+    })
+  };
+  checkSettings(defaults, 'the collector config');
+
+  const names = env.COLLECTOR_TARGETS
+    ? env.COLLECTOR_TARGETS.split(',')
+        .map((x) => x.trim())
+        .filter((x) => x)
+    : file.targets;
+  const targets = listTargets(names).map((x) => {
+    return { ...x, settings: { ...defaults } };
+  });
+  if (!targets.length) {
+    throw new Error('The collector config must name at least one provider or region to probe');
+  }
+
+  (file.overrides || []).forEach((override, i) => {
+    const name = `overrides[${i}]`;
+    if (!override || !Array.isArray(override.targets)) {
+      throw new Error(`"targets" of ${name} must be a list of provider names and region names`);
+    }
+    const settings = pickSettings(override);
+    checkSettings(settings, name);
+    listTargets(override.targets).forEach(({ provider, region }) => {
+      const target = targets.find((x) => x.provider === provider && x.region === region);
+      // overrides of targets which are not probed are ignored
+      if (target) {
+        Object.assign(target.settings, settings);
+      }
+    });
+  });
+
+  // each file is read once, however many targets trust it
+  const certificates = {};
+  targets.forEach(({ settings }) => {
+    if (settings.caFile && certificates[settings.caFile] === undefined) {
+      try {
+        certificates[settings.caFile] = fs.readFileSync(settings.caFile, 'utf8');
+      } catch (error) {
+        throw new Error(`Cannot read the CA file ${settings.caFile}: ${error.message}`);
+      }
+    }
+    if (settings.caFile) {
+      Object.assign(settings, { ca: certificates[settings.caFile] });
+    }
+  });
+
+  return { source, targets };
+};
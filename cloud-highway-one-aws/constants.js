@@ -1,23 +1,25 @@
-module.exports.regions = {
-  aws: [
-    'us-east-1',
-    'us-east-2',
-    'us-west-1',
-    'us-west-2',
-    'af-south-1',
-    'ap-east-1',
-    'ap-south-1',
-    'ap-northeast-2',
-    'ap-southeast-1',
-    'ap-southeast-2',
-    'ap-northeast-1',
-    'ca-central-1',
-    'eu-central-1',
-    'eu-west-1',
-    'eu-west-2',
-    'eu-west-3',
-    'eu-north-1',
-    'me-south-1',
-    'sa-east-1'
-  ]
-};
+module.exports.HISTORY_TTL_IN_DAYS = 90;
+
+module.exports.PING_ATTEMPTS = 5;
+
+module.exports.PERCENTILE_WINDOW_IN_HOURS = 24;
+
+module.exports.PROBE_TIMEOUT_IN_MILLISECONDS = 5000;
+
+// measure DNS resolution, TCP connection, TLS handshake and time to first byte of HTTPS requests as well
+module.exports.HTTPS_PROBE_ENABLED = process.env.HTTPS_PROBE_ENABLED === 'true';
+
+// number of regions probed at the same time
+module.exports.PROBE_CONCURRENCY = 10;
+
+// time between two probes of a target, unless the collector config sets another one, see config.js
+module.exports.DEFAULT_COLLECTOR_INTERVAL_IN_MINUTES = 30;
+
+// a target is probed if its interval has passed since its last probe, give or take this much,
+// but at most this fraction of the interval so that short intervals are kept too
+module.exports.DUE_TOLERANCE_IN_SECONDS = 60;
+module.exports.DUE_TOLERANCE_RATIO = 0.1;
+
+// with a deadline (e.g. the timeout of a function), no probe is started unless it can finish this long before it,
+// which leaves the time to read the history of the routes and write the results
+module.exports.DEADLINE_RESERVE_IN_MILLISECONDS = 20000;
@@ -0,0 +1,73 @@
+const { readCollectorConfig } = require('./config');
+const { pingAllRegionsAsync } = require('./ping');
+
+/**
+ * Run the collector until it is stopped
+ *
+ * A run starts every shortest `intervalMinutes` of the targets, counted from the start of the previous run, and probes
+ * the targets which are due. Runs never overlap: if a run takes longer than the interval, the next one starts right after it.
+ *
+ * @param {*} config see readCollectorConfig, `source` is required
+ * @returns { stopAsync }, call it to stop scheduling runs. It resolves when the current run (if any) has finished and been saved
+ */
+const startCollector = ({ source, targets }) => {
+  const intervalMinutes = Math.min(...targets.map((x) => x.settings.intervalMinutes));
+  let stopped = false;
+  let timer = null;
+  let currentRun = null;
+
+  const runAsync = async () => {
+    const startedAt = Date.now();
+    currentRun = pingAllRegionsAsync(source, targets).catch((error) => {
+      // e.g. the storage is not available, try again next time
+      console.error(error);
+    });
+    await currentRun;
+    currentRun = null;
+
+    if (!stopped) {
+      const delay = startedAt + intervalMinutes * 60 * 1000 - Date.now();
+      if (delay < 0) {
+        console.error(`the run took ${-delay} ms longer than the interval`);
+      }
+      timer = setTimeout(runAsync, Math.max(delay, 0));
+    }
+  };
+
+  console.log(
+    `probing ${targets.length} regions from ${source}, checking which are due every ${intervalMinutes} minutes`
+  );
+  runAsync();
+
+  return {
+    stopAsync: async () => {
+      stopped = true;
+      clearTimeout(timer);
+      await currentRun;
+    }
+  };
+};
+module.exports.startCollector = startCollector;
+
+if (require.main === module) {
+  let config;
+  try {
+    config = readCollectorConfig(process.env);
+    if (!config.source) {
+      throw new Error('COLLECTOR_SOURCE must be set to a name like "aws@us-west-2" or "onprem@frankfurt-dc1"');
+    }
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  const collector = startCollector(config);
+
+  ['SIGTERM', 'SIGINT'].forEach((signal) => {
+    process.once(signal, async () => {
+      console.log(`${signal} received, finishing the current run`);
+      await collector.stopAsync();
+      process.exit(0);
+    });
+  });
+}
@@ -0,0 +1,95 @@
+/**
+ * Calculate statistics of a single probe run
+ *
+ * Failed attempts are excluded from the latency statistics and counted towards the packet loss instead.
+ *
+ * @param {*} results attempt results from tcp-ping, e.g. [{ seq: 0, time: 45.1 }, { seq: 1, time: undefined, err: Error }]
+ * @returns { ping, minPing, maxPing, stddev, packetLoss } (latencies in milliseconds, packet loss as a ratio between 0 and 1),
+ * or null if every attempt failed
+ */
+module.exports.calculateStatistics = (results) => {
+  const times = results.filter((x) => !x.err && typeof x.time === 'number').map((x) => x.time);
+  if (!times.length) {
+    return null;
+  }
+
+  const ping = times.reduce((sum, x) => sum + x, 0) / times.length;
+  const variance = times.reduce((sum, x) => sum + (x - ping) ** 2, 0) / times.length;
+
+  return {
+    ping,
+    minPing: Math.min(...times),
+    maxPing: Math.max(...times),
+    stddev: Math.sqrt(variance),
+    packetLoss: (results.length - times.length) / results.length
+  };
+};
+
+/**
+ * Calculate a percentile using the nearest-rank method
+ *
+ * @param {*} values an array of numbers, does not have to be sorted
+ * @param {*} percentile number between 0 and 100, e.g. 90
+ * @returns the percentile value or null if there are no values
+ */
+module.exports.calculatePercentile = (values, percentile) => {
+  if (!values.length) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.max(Math.ceil((percentile / 100) * sorted.length), 1);
+  return sorted[rank - 1];
+};
+
+/**
+ * Calculate the average time of each phase of HTTPS requests
+ *
+ * @param {*} results attempt results from the httpsTimings probe,
+ * e.g. [{ seq: 0, dnsTime: 1.2, tcpTime: 45.1, tlsTime: 92.3, ttfbTime: 48.8 }, { seq: 1, err: Error }]
+ * @returns { dnsTime, tcpTime, tlsTime, ttfbTime } in milliseconds, or null if every attempt failed
+ */
+module.exports.calculateTimingStatistics = (results) => {
+  const succeeded = results.filter((x) => !x.err);
+  if (!succeeded.length) {
+    return null;
+  }
+
+  const average = (phase) => succeeded.reduce((sum, x) => sum + x[phase], 0) / succeeded.length;
+  return {
+    dnsTime: average('dnsTime'),
+    tcpTime: average('tcpTime'),
+    tlsTime: average('tlsTime'),
+    ttfbTime: average('ttfbTime')
+  };
+};
+
+/**
+ * Map an array with an async function, running at most `concurrency` calls at the same time
+ *
+ * @param {*} array items to map
+ * @param {*} concurrency maximum number of calls running at the same time
+ * @param {*} mapperAsync async function called with each item and its index
+ * @returns a promise of the mapped array, in the same order as the items
+ */
+module.exports.mapWithConcurrencyAsync = async (array, concurrency, mapperAsync) => {
+  const results = new Array(array.length);
+  let next = 0;
+
+  const workerAsync = async () => {
+    while (next < array.length) {
+      const index = next;
+      next += 1;
+      // each worker handles one item at a time
+      // eslint-disable-next-line no-await-in-loop
+      results[index] = await mapperAsync(array[index], index);
+    }
+  };
+
+  const workers = [];
+  for (let i = 0; i < Math.min(concurrency, array.length); i += 1) {
+    workers.push(workerAsync());
+  }
+  await Promise.all(workers);
+
+  return results;
+};
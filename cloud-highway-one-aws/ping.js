@@ -1,45 +1,351 @@
-const AWS = require('aws-sdk');
-const tcpp = require('tcp-ping');
-const { regions } = require('./constants');
-
-const currentRegion = process.env.AWS_REGION;
-
-const docClient = new AWS.DynamoDB.DocumentClient({
-  region: 'us-west-2',
-  apiVersion: '2012-08-10',
-  sslEnabled: true
-});
-
-module.exports.ping = () => {
-  const providers = Object.keys(regions);
-
-  providers.forEach((provider) => {
-    regions[provider].forEach((region) => {
-      let host;
-      if (provider === 'aws') {
-        host = `ec2.${region}.amazonaws.com`;
+const { getStorage } = require('cloud-highway-one-common');
+const probes = require('./probes');
+const httpsTimingsProbe = require('./probes/httpsTimings');
+const {
+  HISTORY_TTL_IN_DAYS,
+  PERCENTILE_WINDOW_IN_HOURS,
+  HTTPS_PROBE_ENABLED,
+  PROBE_CONCURRENCY,
+  DUE_TOLERANCE_IN_SECONDS,
+  DUE_TOLERANCE_RATIO,
+  DEADLINE_RESERVE_IN_MILLISECONDS
+} = require('./constants');
+const { readCollectorConfig } = require('./config');
+const {
+  calculateStatistics,
+  calculatePercentile,
+  calculateTimingStatistics,
+  mapWithConcurrencyAsync
+} = require('./helpers');
+
+const storage = getStorage();
+
+/**
+ * Get the average pings of a route measured within the percentile window
+ *
+ * @param {*} pair history partition key, e.g. "aws@us-west-2+aws@ap-east-1"
+ * @param {*} measuredAt ISO 8601 timestamp of the current run
+ * @returns an array of pings
+ */
+const getRecentPingsAsync = async (pair, measuredAt) => {
+  const from = new Date(new Date(measuredAt).getTime() - PERCENTILE_WINDOW_IN_HOURS * 60 * 60 * 1000).toISOString();
+  const items = await storage.queryHistory(pair, { from, to: measuredAt, attributes: ['ping'] });
+  return items.map((x) => Number(x.ping));
+};
+
+/**
+ * Get the latest measurements from a source region to every destination region
+ *
+ * @param {*} srcRegionName e.g. "aws@us-west-2"
+ * @returns an object of data table items keyed by destination region name, e.g. { "aws@ap-east-1": { srcRegion, dstRegion, ping, ... } }
+ */
+const getLatestMeasurementsAsync = async (srcRegionName) => {
+  const { items: responseItems } = await storage.querySource(srcRegionName);
+  const items = {};
+  responseItems.forEach((x) => {
+    items[x.dstRegion] = x;
+  });
+  return items;
+};
+
+/**
+ * Check whether a target is due to be probed: it has never been probed, or its interval has passed since its last probe
+ *
+ * @param {*} previousItem the latest data table item of the route, undefined if it has never been measured
+ * @param {*} intervalMinutes time between two probes of the target
+ * @param {*} now timestamp in milliseconds
+ * @returns boolean
+ */
+const isDue = (previousItem, intervalMinutes, now) => {
+  if (!previousItem) {
+    return true;
+  }
+  const probedAt = Math.max(
+    ...[previousItem.measuredAt, previousItem.lastFailureAt].filter((x) => x).map((x) => new Date(x).getTime())
+  );
+  // runs do not start at the exact same second, without a tolerance a target would be skipped every other run
+  const interval = intervalMinutes * 60 * 1000;
+  const tolerance = Math.min(DUE_TOLERANCE_IN_SECONDS * 1000, interval * DUE_TOLERANCE_RATIO);
+  return !(now - probedAt < interval - tolerance);
+};
+
+/**
+ * Estimate the longest time a probe of a region can take, when every attempt times out
+ *
+ * @param {*} provider provider module, see cloud-highway-one-common/providers
+ * @param {*} settings probe settings of the target, see readCollectorConfig
+ * @returns milliseconds
+ */
+const estimateLongestProbe = (provider, { attempts, timeoutMilliseconds }) => {
+  // the HTTPS probe runs after the ping, with the same attempts and timeout
+  return attempts * timeoutMilliseconds * (HTTPS_PROBE_ENABLED && provider.https ? 2 : 1);
+};
+
+/**
+ * Probe a region: ping it, then measure the phases of HTTPS requests if the HTTPS probe mode is enabled
+ *
+ * @param {*} provider provider module, see cloud-highway-one-common/providers
+ * @param {*} region region code, e.g. "ap-east-1"
+ * @param {*} settings probe settings of the target, see readCollectorConfig, e.g. { intervalMinutes: 30, attempts: 5, timeoutMilliseconds: 5000 }
+ * @returns a promise of { dstRegion, statistics, timings, error, probe }, statistics and timings are null if the probe failed.
+ * `probe` are the settings the region was probed with, e.g. { method: 'tcp', port: 443, attempts: 5, timeoutMilliseconds: 5000, intervalMinutes: 30 },
+ * with the `host` if it is not the provider's endpoint
+ */
+const probeRegionAsync = async (provider, region, settings) => {
+  const dstRegionName = `${provider.name}@${region}`;
+  const host = settings.host || provider.resolveEndpoint(region);
+  const probe = probes[provider.probe.method];
+  const { attempts, timeoutMilliseconds, intervalMinutes } = settings;
+  const probeSettings = {
+    method: provider.probe.method,
+    port: settings.port || provider.probe.port,
+    attempts,
+    timeoutMilliseconds,
+    intervalMinutes,
+    ...(settings.host ? { host: settings.host } : {})
+  };
+  if (!probe || !host) {
+    return {
+      dstRegion: dstRegionName,
+      statistics: null,
+      timings: null,
+      error: 'No probe for this region',
+      probe: probeSettings
+    };
+  }
+
+  let statistics = null;
+  let timings = null;
+  let error = null;
+
+  try {
+    const results = await probe({
+      host,
+      port: probeSettings.port,
+      attempts,
+      timeout: timeoutMilliseconds
+    });
+    statistics = calculateStatistics(results);
+    if (!statistics) {
+      error = `All ${attempts} attempts to ${host} failed`;
+    }
+  } catch (e) {
+    error = e.toString();
+  }
+
+  // probe HTTPS after the ping so that the two do not affect each other
+  if (HTTPS_PROBE_ENABLED && provider.https) {
+    try {
+      const results = await httpsTimingsProbe({
+        host,
+        port: settings.httpsPort || provider.https.port,
+        path: provider.https.path,
+        attempts,
+        timeout: timeoutMilliseconds,
+        ca: settings.ca,
+        rejectUnauthorized: settings.rejectUnauthorized
+      });
+      timings = calculateTimingStatistics(results);
+      if (!timings) {
+        console.error(`All ${attempts} HTTPS requests to ${host} failed`);
       }
-      tcpp.ping({ address: host, attempts: 5 }, (err, data) => {
-        if (err) {
-          console.error(err);
-        } else {
-          const params = {
-            TableName: 'CloudHighwayOne',
-            Key: {
-              srcRegion: `aws@${currentRegion}`,
-              dstRegion: `${provider}@${region}`
-            },
-            ExpressionAttributeNames: {
-              '#ping': 'ping'
-            },
-            ExpressionAttributeValues: {
-              ':value': data.avg
-            },
-            UpdateExpression: 'SET #ping = :value'
-          };
-          docClient.update(params).promise();
-        }
+    } catch (e) {
+      console.error(e);
+    }
+  }
+
+  return { dstRegion: dstRegionName, statistics, timings, error, probe: probeSettings };
+};
+
+/**
+ * Ping regions from a source and save the results
+ *
+ * The regions are probed with bounded concurrency, then the results are written in batches:
+ * every measurement to the history table, and the latest statistics (merged into the previous item, so the values
+ * which were not measured in this run are kept) to the data table.
+ *
+ * A region which cannot be pinged is recorded as `reachable: false` with its number of consecutive failures,
+ * the time of the last success and the error. Its previous statistics are kept but not updated.
+ *
+ * Only the targets whose interval has passed since their last probe are probed, so the run has to be scheduled at least
+ * as often as the shortest interval. The settings each region was probed with are recorded as `probe` in both tables.
+ *
+ * With a deadline, no probe is started which might not finish before it (leaving DEADLINE_RESERVE_IN_MILLISECONDS to save
+ * the results), so that a function is not killed with nothing written. The regions not probed are postponed to the next run.
+ *
+ * @param {*} srcRegionName where the collector runs, e.g. "aws@us-west-2", "gcp@us-central1" or "onprem@frankfurt-dc1"
+ * @param {*} targets optional regions to probe with their settings, see readCollectorConfig. Defaults to the targets of the collector config
+ * @param {*} deadline optional timestamp in milliseconds by which the run has to be saved, e.g. when the function times out
+ * @returns a promise of the summary, e.g.
+ * {
+ *   srcRegion: 'aws@us-west-2',
+ *   measuredAt: '2020-08-01T00:00:00.512Z',
+ *   succeeded: ['aws@us-east-1', ...],
+ *   failed: [{ dstRegion: 'aws@ap-east-1', error: 'All 5 attempts to ec2.ap-east-1.amazonaws.com failed' }, ...],
+ *   skipped: ['aws@sa-east-1', ...],
+ *   postponed: ['aws@eu-north-1', ...]
+ * }
+ */
+const pingAllRegionsAsync = async (
+  srcRegionName,
+  targets = readCollectorConfig(process.env).targets,
+  deadline = null
+) => {
+  // all measurements of the same run share one timestamp so that the history of different routes lines up
+  const measuredAt = new Date().toISOString();
+  const ttl = Math.floor(Date.now() / 1000) + HISTORY_TTL_IN_DAYS * 24 * 60 * 60;
+
+  let previous = null;
+  try {
+    previous = await getLatestMeasurementsAsync(srcRegionName);
+  } catch (error) {
+    // without the previous measurements every target is probed
+    console.error(error);
+  }
+
+  const now = Date.now();
+  const dueTargets = targets.filter(({ provider, region, settings }) => {
+    return !previous || isDue(previous[`${provider.name}@${region}`], settings.intervalMinutes, now);
+  });
+  const skipped = targets
+    .filter((x) => !dueTargets.includes(x))
+    .map(({ provider, region }) => `${provider.name}@${region}`);
+  previous = previous || {};
+
+  const postponed = [];
+  const probed = (
+    await mapWithConcurrencyAsync(dueTargets, PROBE_CONCURRENCY, ({ provider, region, settings }) => {
+      if (
+        deadline &&
+        Date.now() + estimateLongestProbe(provider, settings) + DEADLINE_RESERVE_IN_MILLISECONDS > deadline
+      ) {
+        postponed.push(`${provider.name}@${region}`);
+        return null;
+      }
+      return probeRegionAsync(provider, region, settings);
+    })
+  ).filter((x) => x);
+
+  const failed = probed.filter((x) => !x.statistics);
+
+  // percentiles are calculated over the history of the route including the current measurement
+  const recentPings = await mapWithConcurrencyAsync(probed, PROBE_CONCURRENCY, async (x) => {
+    if (!x.statistics) {
+      return [];
+    }
+    try {
+      return await getRecentPingsAsync(`${srcRegionName}+${x.dstRegion}`, measuredAt);
+    } catch (error) {
+      console.error(error);
+      return [];
+    }
+  });
+
+  const historyItems = [];
+  const dataItems = probed.map((x, i) => {
+    const previousItem = previous[x.dstRegion] || {};
+    const item = {
+      ...previousItem,
+      srcRegion: srcRegionName,
+      dstRegion: x.dstRegion
+    };
+    if (x.statistics) {
+      const pings = [...recentPings[i], x.statistics.ping];
+      Object.assign(item, x.statistics, {
+        p50: calculatePercentile(pings, 50),
+        p90: calculatePercentile(pings, 90),
+        p99: calculatePercentile(pings, 99),
+        measuredAt,
+        reachable: true,
+        consecutiveFailures: 0,
+        lastSuccessAt: measuredAt,
+        probe: x.probe
       });
-    });
+      // keep every measurement in the history table, the latest value in the data table gets overwritten on each run
+      historyItems.push({
+        pair: `${srcRegionName}+${x.dstRegion}`,
+        measuredAt,
+        ...x.statistics,
+        probe: x.probe,
+        ttl
+      });
+    } else {
+      // keep the last successful statistics, but mark the route as unreachable so that it is not mistaken for a healthy one
+      Object.assign(item, {
+        reachable: false,
+        consecutiveFailures: (previousItem.consecutiveFailures || 0) + 1,
+        lastSuccessAt: previousItem.lastSuccessAt || previousItem.measuredAt || null,
+        lastFailureAt: measuredAt,
+        lastError: x.error,
+        probe: x.probe
+      });
+    }
+    if (x.timings) {
+      Object.assign(item, x.timings, {
+        httpsMeasuredAt: measuredAt
+      });
+    }
+    return item;
+  });
+
+  const unwrittenData = await storage.putMeasurements(dataItems);
+  const unwrittenHistory = await storage.putHistory(historyItems);
+  unwrittenData.forEach((x) => {
+    failed.push({ dstRegion: x.dstRegion, error: 'Writing to the data table failed' });
   });
+  unwrittenHistory.forEach((x) => {
+    failed.push({ dstRegion: x.pair.split('+')[1], error: 'Writing to the history table failed' });
+  });
+
+  const failedRegions = failed.map((x) => x.dstRegion);
+  const summary = {
+    srcRegion: srcRegionName,
+    measuredAt,
+    succeeded: probed.map((x) => x.dstRegion).filter((x) => !failedRegions.includes(x)),
+    failed: failed.map((x) => {
+      return {
+        dstRegion: x.dstRegion,
+        error: x.error
+      };
+    }),
+    skipped,
+    postponed
+  };
+  console.log(
+    `${summary.succeeded.length} succeeded, ${summary.failed.length} failed, ${summary.skipped.length} skipped, ${summary.postponed.length} postponed`,
+    JSON.stringify(summary.failed)
+  );
+
+  return summary;
+};
+module.exports.pingAllRegionsAsync = pingAllRegionsAsync;
+
+/**
+ * Scheduled AWS Lambda function
+ *
+ * It stops probing in time to save the results before the function times out.
+ */
+module.exports.ping = async (event, context) => {
+  return pingAllRegionsAsync(
+    `aws@${process.env.AWS_REGION}`,
+    undefined,
+    context ? Date.now() + context.getRemainingTimeInMillis() : null
+  );
+};
+
+/**
+ * Google Cloud Function triggered by a Pub/Sub message
+ *
+ * The region the function is deployed to has to be set in the GCP_REGION environment variable,
+ * and the credentials to write to DynamoDB in AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY.
+ * Set the timeout of the function in FUNCTION_TIMEOUT_SEC too, so that it stops probing in time to save the results.
+ */
+module.exports.pingFromGcp = async () => {
+  const startedAt = Date.now();
+  const timeoutSeconds = Number(process.env.FUNCTION_TIMEOUT_SEC);
+  await pingAllRegionsAsync(
+    `gcp@${process.env.GCP_REGION}`,
+    undefined,
+    timeoutSeconds > 0 ? startedAt + timeoutSeconds * 1000 : null
+  );
 };
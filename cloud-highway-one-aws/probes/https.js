@@ -0,0 +1,36 @@
+const https = require('https');
+const { elapsedMilliseconds, runAttemptsAsync } = require('./timing');
+
+/**
+ * Measure the time of a single HTTPS HEAD request, from sending the request to receiving the response headers
+ *
+ * A new connection is made for each request, so the time includes DNS resolution, TCP connection and TLS handshake.
+ *
+ * @param {*} options { host, port, timeout (in milliseconds) }
+ * @returns a promise of milliseconds
+ */
+const headAsync = ({ host, port, timeout }) => {
+  return new Promise((resolve, reject) => {
+    const start = process.hrtime();
+    const request = https.request({ host, port, method: 'HEAD', path: '/', agent: false, timeout }, (response) => {
+      const time = elapsedMilliseconds(start);
+      response.resume();
+      resolve(time);
+    });
+    request.on('timeout', () => {
+      request.destroy(new Error('Request timeout'));
+    });
+    request.on('error', reject);
+    request.end();
+  });
+};
+
+/**
+ * Measure the HTTPS HEAD request time
+ *
+ * @param {*} options { host, port (defaults to 443), attempts, timeout (in milliseconds) }
+ * @returns a promise of the attempt results, e.g. [{ seq: 0, time: 45.1 }, { seq: 1, time: undefined, err: Error }]
+ */
+module.exports = ({ host, port = 443, attempts, timeout }) => {
+  return runAttemptsAsync(attempts, () => headAsync({ host, port, timeout }));
+};
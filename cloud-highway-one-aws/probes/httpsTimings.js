@@ -0,0 +1,73 @@
+const https = require('https');
+const { elapsedMilliseconds } = require('./timing');
+
+/**
+ * Make a single HTTPS HEAD request on a new connection and measure each phase of it
+ *
+ * @param {*} options { host, port, path, timeout (in milliseconds), ca, rejectUnauthorized }
+ * @returns a promise of the phase times in milliseconds:
+ * { dnsTime: DNS resolution, tcpTime: TCP connection, tlsTime: TLS handshake, ttfbTime: from sending the request to the first byte of the response }
+ */
+const measureAsync = ({ host, port, path, timeout, ca, rejectUnauthorized }) => {
+  return new Promise((resolve, reject) => {
+    const start = process.hrtime();
+    const marks = {};
+
+    const request = https.request(
+      { host, port, path, method: 'HEAD', agent: false, timeout, ca, rejectUnauthorized },
+      (response) => {
+        const ttfb = elapsedMilliseconds(start);
+        response.resume();
+        // no "lookup" event is emitted if the host is an IP address
+        const lookup = marks.lookup || 0;
+        resolve({
+          dnsTime: lookup,
+          tcpTime: marks.connect - lookup,
+          tlsTime: marks.secureConnect - marks.connect,
+          ttfbTime: ttfb - marks.secureConnect
+        });
+      }
+    );
+    request.on('socket', (socket) => {
+      socket.on('lookup', () => {
+        marks.lookup = elapsedMilliseconds(start);
+      });
+      socket.on('connect', () => {
+        marks.connect = elapsedMilliseconds(start);
+      });
+      socket.on('secureConnect', () => {
+        marks.secureConnect = elapsedMilliseconds(start);
+      });
+    });
+    request.on('timeout', () => {
+      request.destroy(new Error('Request timeout'));
+    });
+    request.on('error', reject);
+    request.end();
+  });
+};
+
+/**
+ * Measure DNS resolution, TCP connection, TLS handshake and time to first byte of HTTPS HEAD requests
+ *
+ * Unlike the other probes, each attempt reports the time of every phase instead of a single time.
+ * `ca` and `rejectUnauthorized` can be set to probe a server with a self-signed certificate, e.g. a local test server.
+ *
+ * @param {*} options { host, port (defaults to 443), path (defaults to "/"), attempts, timeout (in milliseconds), ca, rejectUnauthorized }
+ * @returns a promise of the attempt results, e.g.
+ * [{ seq: 0, dnsTime: 1.2, tcpTime: 45.1, tlsTime: 92.3, ttfbTime: 48.8 }, { seq: 1, err: Error }]
+ */
+module.exports = async ({ host, port = 443, path = '/', attempts, timeout, ca, rejectUnauthorized = true }) => {
+  const results = [];
+  for (let seq = 0; seq < attempts; seq += 1) {
+    try {
+      // attempts are made one after another so that they do not affect each other
+      // eslint-disable-next-line no-await-in-loop
+      const timings = await measureAsync({ host, port, path, timeout, ca, rejectUnauthorized });
+      results.push({ seq, ...timings });
+    } catch (err) {
+      results.push({ seq, err });
+    }
+  }
+  return results;
+};
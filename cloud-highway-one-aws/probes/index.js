@@ -0,0 +1,15 @@
+const tcp = require('./tcp');
+const https = require('./https');
+const tls = require('./tls');
+
+/**
+ * Registry of probe methods, keyed by the `probe.method` a provider declares
+ *
+ * Each probe is a function taking { host, port, attempts, timeout } and returning a promise of the attempt results
+ * in the format of tcp-ping, e.g. [{ seq: 0, time: 45.1 }, { seq: 1, time: undefined, err: Error }]
+ */
+module.exports = {
+  tcp,
+  https,
+  tls
+};
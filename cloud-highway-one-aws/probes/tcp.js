@@ -0,0 +1,19 @@
+const tcpp = require('tcp-ping');
+
+/**
+ * Measure the time to establish a TCP connection
+ *
+ * @param {*} options { host, port, attempts, timeout (in milliseconds) }
+ * @returns a promise of the attempt results, e.g. [{ seq: 0, time: 45.1 }, { seq: 1, time: undefined, err: Error }]
+ */
+module.exports = ({ host, port, attempts, timeout }) => {
+  return new Promise((resolve, reject) => {
+    tcpp.ping({ address: host, port, attempts, timeout }, (err, data) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(data.results);
+      }
+    });
+  });
+};
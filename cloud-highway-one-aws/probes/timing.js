@@ -0,0 +1,32 @@
+/**
+ * Get the milliseconds elapsed since a process.hrtime() start time
+ *
+ * @param {*} start result of process.hrtime()
+ * @returns milliseconds
+ */
+module.exports.elapsedMilliseconds = (start) => {
+  const [seconds, nanoseconds] = process.hrtime(start);
+  return (seconds * 1e9 + nanoseconds) / 1e6;
+};
+
+/**
+ * Run the attempts of a probe one after another, the same way tcp-ping does
+ *
+ * @param {*} attempts number of attempts
+ * @param {*} attemptAsync function returning a promise of the time of a single attempt in milliseconds
+ * @returns a promise of the attempt results, e.g. [{ seq: 0, time: 45.1 }, { seq: 1, time: undefined, err: Error }]
+ */
+module.exports.runAttemptsAsync = async (attempts, attemptAsync) => {
+  const results = [];
+  for (let seq = 0; seq < attempts; seq += 1) {
+    try {
+      // attempts are made one after another so that they do not affect each other
+      // eslint-disable-next-line no-await-in-loop
+      const time = await attemptAsync();
+      results.push({ seq, time });
+    } catch (err) {
+      results.push({ seq, time: undefined, err });
+    }
+  }
+  return results;
+};
@@ -0,0 +1,42 @@
+const net = require('net');
+const tls = require('tls');
+const { elapsedMilliseconds, runAttemptsAsync } = require('./timing');
+
+/**
+ * Measure the time of a single TLS handshake, not including the TCP connection
+ *
+ * @param {*} options { host, port, timeout (in milliseconds) }
+ * @returns a promise of milliseconds
+ */
+const handshakeAsync = ({ host, port, timeout }) => {
+  return new Promise((resolve, reject) => {
+    let start;
+    const socket = tls.connect({ host, port, servername: net.isIP(host) ? undefined : host });
+    socket.setTimeout(timeout, () => {
+      socket.destroy();
+      reject(new Error('Request timeout'));
+    });
+    socket.on('connect', () => {
+      start = process.hrtime();
+    });
+    socket.on('secureConnect', () => {
+      const time = elapsedMilliseconds(start);
+      socket.destroy();
+      resolve(time);
+    });
+    socket.on('error', (err) => {
+      socket.destroy();
+      reject(err);
+    });
+  });
+};
+
+/**
+ * Measure the TLS handshake time
+ *
+ * @param {*} options { host, port (defaults to 443), attempts, timeout (in milliseconds) }
+ * @returns a promise of the attempt results, e.g. [{ seq: 0, time: 45.1 }, { seq: 1, time: undefined, err: Error }]
+ */
+module.exports = ({ host, port = 443, attempts, timeout }) => {
+  return runAttemptsAsync(attempts, () => handshakeAsync({ host, port, timeout }));
+};
@@ -0,0 +1,21 @@
+module.exports = {
+  root: true,
+  env: {
+    commonjs: true,
+    es6: true,
+    node: true
+  },
+  extends: ['airbnb-base', 'prettier'],
+  plugins: ['prettier'],
+  globals: {
+    Atomics: 'readonly',
+    SharedArrayBuffer: 'readonly'
+  },
+  parserOptions: {
+    ecmaVersion: 2018
+  },
+  rules: {
+    'prettier/prettier': ['error'],
+    'no-console': [0]
+  }
+};
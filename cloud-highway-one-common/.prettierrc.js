@@ -0,0 +1,8 @@
+module.exports = {
+  printWidth: 120,
+  bracketSpacing: true,
+  jsxBracketSameLine: false,
+  singleQuote: true,
+  trailingComma: 'none',
+  proseWrap: 'preserve'
+};
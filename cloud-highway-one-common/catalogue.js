@@ -0,0 +1,49 @@
+const { providers } = require('./providers');
+
+module.exports.continents = ['africa', 'asia', 'europe', 'north-america', 'oceania', 'south-america'];
+
+/**
+ * List the catalogue entries of all regions from all providers
+ *
+ * @returns e.g.
+ * [
+ *   {
+ *     provider: 'aws',
+ *     providerName: 'Amazon Web Services',
+ *     region: 'us-west-2',
+ *     name: 'US West (Oregon)',
+ *     continent: 'north-america',
+ *     latitude: 46.15,
+ *     longitude: -123.88,
+ *     status: 'available',
+ *     optIn: false
+ *   },
+ *   ...
+ * ]
+ */
+const listRegions = () => {
+  const result = [];
+  Object.values(providers).forEach((provider) => {
+    provider.regions.forEach(({ code, ...details }) => {
+      result.push({
+        provider: provider.name,
+        providerName: provider.displayName,
+        region: code,
+        ...details
+      });
+    });
+  });
+  return result;
+};
+module.exports.listRegions = listRegions;
+
+/**
+ * Find the catalogue entry of a region
+ *
+ * @param {*} regionName A complete region name, e.g. "aws@us-west-2"
+ * @returns the catalogue entry (see listRegions) or null if not found
+ */
+module.exports.getRegion = (regionName) => {
+  const [provider, region] = regionName.toLowerCase().split('@');
+  return listRegions().find((x) => x.provider === provider && x.region === region) || null;
+};
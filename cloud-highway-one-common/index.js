@@ -0,0 +1,12 @@
+const { providers, regions } = require('./providers');
+const { continents, listRegions, getRegion } = require('./catalogue');
+const { createStorage, readStorageConfig, getStorage } = require('./storage');
+
+module.exports.providers = providers;
+module.exports.regions = regions;
+module.exports.continents = continents;
+module.exports.listRegions = listRegions;
+module.exports.getRegion = getRegion;
+module.exports.createStorage = createStorage;
+module.exports.readStorageConfig = readStorageConfig;
+module.exports.getStorage = getStorage;
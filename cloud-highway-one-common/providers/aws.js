@@ -0,0 +1,191 @@
+/**
+ * Amazon Web Services
+ *
+ * Each region is probed through its public EC2 API endpoint.
+ */
+module.exports = {
+  name: 'aws',
+  displayName: 'Amazon Web Services',
+  regions: [
+    {
+      code: 'us-east-1',
+      name: 'US East (N. Virginia)',
+      continent: 'north-america',
+      latitude: 38.13,
+      longitude: -78.45,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'us-east-2',
+      name: 'US East (Ohio)',
+      continent: 'north-america',
+      latitude: 39.96,
+      longitude: -83,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'us-west-1',
+      name: 'US West (N. California)',
+      continent: 'north-america',
+      latitude: 37.35,
+      longitude: -121.96,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'us-west-2',
+      name: 'US West (Oregon)',
+      continent: 'north-america',
+      latitude: 46.15,
+      longitude: -123.88,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'af-south-1',
+      name: 'Africa (Cape Town)',
+      continent: 'africa',
+      latitude: -33.92,
+      longitude: 18.42,
+      status: 'available',
+      optIn: true
+    },
+    {
+      code: 'ap-east-1',
+      name: 'Asia Pacific (Hong Kong)',
+      continent: 'asia',
+      latitude: 22.27,
+      longitude: 114.16,
+      status: 'available',
+      optIn: true
+    },
+    {
+      code: 'ap-south-1',
+      name: 'Asia Pacific (Mumbai)',
+      continent: 'asia',
+      latitude: 19.08,
+      longitude: 72.88,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'ap-northeast-2',
+      name: 'Asia Pacific (Seoul)',
+      continent: 'asia',
+      latitude: 37.56,
+      longitude: 126.98,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'ap-southeast-1',
+      name: 'Asia Pacific (Singapore)',
+      continent: 'asia',
+      latitude: 1.37,
+      longitude: 103.8,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'ap-southeast-2',
+      name: 'Asia Pacific (Sydney)',
+      continent: 'oceania',
+      latitude: -33.86,
+      longitude: 151.2,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'ap-northeast-1',
+      name: 'Asia Pacific (Tokyo)',
+      continent: 'asia',
+      latitude: 35.41,
+      longitude: 139.42,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'ca-central-1',
+      name: 'Canada (Central)',
+      continent: 'north-america',
+      latitude: 45.5,
+      longitude: -73.57,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'eu-central-1',
+      name: 'Europe (Frankfurt)',
+      continent: 'europe',
+      latitude: 50.11,
+      longitude: 8.68,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'eu-west-1',
+      name: 'Europe (Ireland)',
+      continent: 'europe',
+      latitude: 53.35,
+      longitude: -6.26,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'eu-west-2',
+      name: 'Europe (London)',
+      continent: 'europe',
+      latitude: 51.51,
+      longitude: -0.13,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'eu-west-3',
+      name: 'Europe (Paris)',
+      continent: 'europe',
+      latitude: 48.86,
+      longitude: 2.35,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'eu-north-1',
+      name: 'Europe (Stockholm)',
+      continent: 'europe',
+      latitude: 59.33,
+      longitude: 18.07,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'me-south-1',
+      name: 'Middle East (Bahrain)',
+      continent: 'asia',
+      latitude: 26.1,
+      longitude: 50.46,
+      status: 'available',
+      optIn: true
+    },
+    {
+      code: 'sa-east-1',
+      name: 'South America (São Paulo)',
+      continent: 'south-america',
+      latitude: -23.34,
+      longitude: -46.38,
+      status: 'available',
+      optIn: false
+    }
+  ],
+  resolveEndpoint: (region) => `ec2.${region}.amazonaws.com`,
+  probe: {
+    method: 'tcp',
+    port: 80
+  },
+  https: {
+    port: 443,
+    path: '/'
+  }
+};
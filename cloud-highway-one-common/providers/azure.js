@@ -0,0 +1,300 @@
+/**
+ * Microsoft Azure
+ *
+ * Azure does not have a public endpoint per region like AWS does (ec2.<region>.amazonaws.com),
+ * so each region is probed through a blob storage account created in that region.
+ */
+module.exports = {
+  name: 'azure',
+  displayName: 'Microsoft Azure',
+  regions: [
+    {
+      code: 'eastus',
+      name: 'East US',
+      continent: 'north-america',
+      latitude: 37.3719,
+      longitude: -79.8164,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'eastus2',
+      name: 'East US 2',
+      continent: 'north-america',
+      latitude: 36.6681,
+      longitude: -78.3889,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'centralus',
+      name: 'Central US',
+      continent: 'north-america',
+      latitude: 41.5908,
+      longitude: -93.6208,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'northcentralus',
+      name: 'North Central US',
+      continent: 'north-america',
+      latitude: 41.8819,
+      longitude: -87.6278,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'southcentralus',
+      name: 'South Central US',
+      continent: 'north-america',
+      latitude: 29.4167,
+      longitude: -98.5,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'westcentralus',
+      name: 'West Central US',
+      continent: 'north-america',
+      latitude: 40.89,
+      longitude: -110.234,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'westus',
+      name: 'West US',
+      continent: 'north-america',
+      latitude: 37.783,
+      longitude: -122.417,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'westus2',
+      name: 'West US 2',
+      continent: 'north-america',
+      latitude: 47.233,
+      longitude: -119.852,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'canadacentral',
+      name: 'Canada Central',
+      continent: 'north-america',
+      latitude: 43.653,
+      longitude: -79.383,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'canadaeast',
+      name: 'Canada East',
+      continent: 'north-america',
+      latitude: 46.817,
+      longitude: -71.217,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'brazilsouth',
+      name: 'Brazil South',
+      continent: 'south-america',
+      latitude: -23.55,
+      longitude: -46.633,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'northeurope',
+      name: 'North Europe',
+      continent: 'europe',
+      latitude: 53.3478,
+      longitude: -6.2597,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'westeurope',
+      name: 'West Europe',
+      continent: 'europe',
+      latitude: 52.3667,
+      longitude: 4.9,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'uksouth',
+      name: 'UK South',
+      continent: 'europe',
+      latitude: 50.941,
+      longitude: -0.799,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'ukwest',
+      name: 'UK West',
+      continent: 'europe',
+      latitude: 53.427,
+      longitude: -3.084,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'francecentral',
+      name: 'France Central',
+      continent: 'europe',
+      latitude: 46.3772,
+      longitude: 2.373,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'germanywestcentral',
+      name: 'Germany West Central',
+      continent: 'europe',
+      latitude: 50.110924,
+      longitude: 8.682127,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'switzerlandnorth',
+      name: 'Switzerland North',
+      continent: 'europe',
+      latitude: 47.451542,
+      longitude: 8.564572,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'norwayeast',
+      name: 'Norway East',
+      continent: 'europe',
+      latitude: 59.913868,
+      longitude: 10.752245,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'eastasia',
+      name: 'East Asia',
+      continent: 'asia',
+      latitude: 22.267,
+      longitude: 114.188,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'southeastasia',
+      name: 'Southeast Asia',
+      continent: 'asia',
+      latitude: 1.283,
+      longitude: 103.833,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'japaneast',
+      name: 'Japan East',
+      continent: 'asia',
+      latitude: 35.68,
+      longitude: 139.77,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'japanwest',
+      name: 'Japan West',
+      continent: 'asia',
+      latitude: 34.6939,
+      longitude: 135.5022,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'koreacentral',
+      name: 'Korea Central',
+      continent: 'asia',
+      latitude: 37.5665,
+      longitude: 126.978,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'centralindia',
+      name: 'Central India',
+      continent: 'asia',
+      latitude: 18.5822,
+      longitude: 73.9197,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'southindia',
+      name: 'South India',
+      continent: 'asia',
+      latitude: 12.9822,
+      longitude: 80.1636,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'westindia',
+      name: 'West India',
+      continent: 'asia',
+      latitude: 19.088,
+      longitude: 72.868,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'australiaeast',
+      name: 'Australia East',
+      continent: 'oceania',
+      latitude: -33.86,
+      longitude: 151.2094,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'australiasoutheast',
+      name: 'Australia Southeast',
+      continent: 'oceania',
+      latitude: -37.8136,
+      longitude: 144.9631,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'uaenorth',
+      name: 'UAE North',
+      continent: 'asia',
+      latitude: 25.266666,
+      longitude: 55.316666,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'southafricanorth',
+      name: 'South Africa North',
+      continent: 'africa',
+      latitude: -25.73134,
+      longitude: 28.21837,
+      status: 'available',
+      optIn: false
+    }
+  ],
+  resolveEndpoint: (region) => `chone${region}.blob.core.windows.net`,
+  probe: {
+    method: 'tcp',
+    port: 443
+  },
+  https: {
+    port: 443,
+    path: '/'
+  }
+};
@@ -0,0 +1,237 @@
+/**
+ * Google Cloud Platform
+ *
+ * GCP does not have a public endpoint per region either (Google APIs are served from the closest edge location),
+ * so each region is probed through a small instance with a regional external IP address in that region.
+ */
+module.exports = {
+  name: 'gcp',
+  displayName: 'Google Cloud Platform',
+  regions: [
+    {
+      code: 'us-central1',
+      name: 'Iowa',
+      continent: 'north-america',
+      latitude: 41.26,
+      longitude: -95.86,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'us-east1',
+      name: 'South Carolina',
+      continent: 'north-america',
+      latitude: 33.2,
+      longitude: -80.01,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'us-east4',
+      name: 'Northern Virginia',
+      continent: 'north-america',
+      latitude: 39.04,
+      longitude: -77.49,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'us-west1',
+      name: 'Oregon',
+      continent: 'north-america',
+      latitude: 45.6,
+      longitude: -121.18,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'us-west2',
+      name: 'Los Angeles',
+      continent: 'north-america',
+      latitude: 34.05,
+      longitude: -118.24,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'us-west3',
+      name: 'Salt Lake City',
+      continent: 'north-america',
+      latitude: 40.76,
+      longitude: -111.89,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'us-west4',
+      name: 'Las Vegas',
+      continent: 'north-america',
+      latitude: 36.17,
+      longitude: -115.14,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'northamerica-northeast1',
+      name: 'Montréal',
+      continent: 'north-america',
+      latitude: 45.5,
+      longitude: -73.57,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'southamerica-east1',
+      name: 'São Paulo',
+      continent: 'south-america',
+      latitude: -23.55,
+      longitude: -46.63,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'europe-north1',
+      name: 'Finland',
+      continent: 'europe',
+      latitude: 60.57,
+      longitude: 27.19,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'europe-west1',
+      name: 'Belgium',
+      continent: 'europe',
+      latitude: 50.47,
+      longitude: 3.87,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'europe-west2',
+      name: 'London',
+      continent: 'europe',
+      latitude: 51.51,
+      longitude: -0.13,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'europe-west3',
+      name: 'Frankfurt',
+      continent: 'europe',
+      latitude: 50.11,
+      longitude: 8.68,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'europe-west4',
+      name: 'Netherlands',
+      continent: 'europe',
+      latitude: 53.44,
+      longitude: 6.84,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'europe-west6',
+      name: 'Zürich',
+      continent: 'europe',
+      latitude: 47.38,
+      longitude: 8.54,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'asia-east1',
+      name: 'Taiwan',
+      continent: 'asia',
+      latitude: 24.05,
+      longitude: 120.52,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'asia-east2',
+      name: 'Hong Kong',
+      continent: 'asia',
+      latitude: 22.32,
+      longitude: 114.17,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'asia-northeast1',
+      name: 'Tokyo',
+      continent: 'asia',
+      latitude: 35.69,
+      longitude: 139.69,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'asia-northeast2',
+      name: 'Osaka',
+      continent: 'asia',
+      latitude: 34.69,
+      longitude: 135.5,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'asia-northeast3',
+      name: 'Seoul',
+      continent: 'asia',
+      latitude: 37.57,
+      longitude: 126.98,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'asia-south1',
+      name: 'Mumbai',
+      continent: 'asia',
+      latitude: 19.08,
+      longitude: 72.88,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'asia-southeast1',
+      name: 'Singapore',
+      continent: 'asia',
+      latitude: 1.35,
+      longitude: 103.82,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'asia-southeast2',
+      name: 'Jakarta',
+      continent: 'asia',
+      latitude: -6.21,
+      longitude: 106.85,
+      status: 'available',
+      optIn: false
+    },
+    {
+      code: 'australia-southeast1',
+      name: 'Sydney',
+      continent: 'oceania',
+      latitude: -33.87,
+      longitude: 151.21,
+      status: 'available',
+      optIn: false
+    }
+  ],
+  resolveEndpoint: (region) => `gcp-${region}.probe.hormone.xyz`,
+  probe: {
+    method: 'tcp',
+    port: 80
+  },
+  https: {
+    port: 443,
+    path: '/'
+  }
+};
@@ -0,0 +1,38 @@
+const aws = require('./aws');
+const azure = require('./azure');
+const gcp = require('./gcp');
+
+/**
+ * Registry of all supported cloud providers
+ *
+ * To add a new provider, create a module next to this file and register it here. Each provider module exports:
+ *
+ * - name: provider name used in region names, e.g. "aws" in "aws@us-west-2"
+ * - displayName: human readable provider name, e.g. "Amazon Web Services"
+ * - regions: the region catalogue, an array of
+ *   { code, name, continent, latitude, longitude, status, optIn }, e.g.
+ *   { code: 'us-west-2', name: 'US West (Oregon)', continent: 'north-america', latitude: 46.15, longitude: -123.88, status: 'available', optIn: false }
+ *   continent is one of the continents in catalogue.js,
+ *   status is "available" or "preview", and optIn tells whether the region has to be enabled explicitly before use
+ * - resolveEndpoint: a function returning the host to probe for a region code, e.g. (region) => `ec2.${region}.amazonaws.com`
+ * - probe: how the collector probes the endpoint, { method: 'tcp' | 'https' | 'tls', port }
+ * - https: optional, where the collector measures the phases of an HTTPS request (DNS, TCP, TLS, time to first byte)
+ *   on the same endpoint when the HTTPS probe mode is enabled, { port, path }
+ *
+ * Both the collector and the API read the providers from here, so nothing else has to be changed.
+ */
+const providers = {};
+[aws, azure, gcp].forEach((provider) => {
+  providers[provider.name] = provider;
+});
+module.exports.providers = providers;
+
+/**
+ * Region codes of every provider, e.g. { aws: ["us-east-1", ...], azure: ["eastus", ...] }
+ */
+module.exports.regions = Object.keys(providers).reduce((result, name) => {
+  return {
+    ...result,
+    [name]: providers[name].regions.map((x) => x.code)
+  };
+}, {});
@@ -0,0 +1,294 @@
+const AWS = require('aws-sdk');
+
+// BatchGetItem accepts up to 100 keys and BatchWriteItem up to 25 items per request
+const BATCH_GET_SIZE = 100;
+const BATCH_WRITE_SIZE = 25;
+
+// unprocessed keys and items (e.g. because of throttling) are retried with exponential backoff,
+// 50ms, 100ms, 200ms... for keys and 100ms, 200ms, 400ms... for items
+const BATCH_MAX_RETRIES = 5;
+const BATCH_GET_BASE_DELAY_IN_MILLISECONDS = 50;
+const BATCH_WRITE_BASE_DELAY_IN_MILLISECONDS = 100;
+
+/**
+ * Wait for a while
+ *
+ * @param {*} milliseconds time to wait
+ * @returns a promise resolved after the time
+ */
+const sleepAsync = (milliseconds) => {
+  return new Promise((resolve) => {
+    setTimeout(resolve, milliseconds);
+  });
+};
+
+/**
+ * Split an array into chunks
+ *
+ * @param {*} array e.g. [1, 2, 3, 4, 5]
+ * @param {*} size maximum size of each chunk, e.g. 2
+ * @returns e.g. [[1, 2], [3, 4], [5]]
+ */
+const chunk = (array, size) => {
+  const chunks = [];
+  for (let i = 0; i < array.length; i += size) {
+    chunks.push(array.slice(i, i + size));
+  }
+  return chunks;
+};
+
+/**
+ * Create the expressions of a read request
+ *
+ * Attribute names are always aliased, so that reserved words like "ttl" can be used.
+ *
+ * @param {*} keyAttributes the key attributes of the table, which are always read, e.g. ["srcRegion", "dstRegion"]
+ * @param {*} options optional: `attributes` to read, e.g. ["ping", "measuredAt"] (all if not set), and a `filter`, see the storage interface
+ * @returns the parameters to merge into the request, e.g. { ProjectionExpression: '#srcRegion, #dstRegion, #ping', ExpressionAttributeNames: {...} }
+ */
+const createReadExpressions = (keyAttributes, { attributes, filter } = {}) => {
+  const names = {};
+  const values = {};
+  const alias = (name) => {
+    names[`#${name}`] = name;
+    return `#${name}`;
+  };
+
+  const params = {};
+  if (attributes) {
+    params.ProjectionExpression = [...new Set([...keyAttributes, ...attributes])].map(alias).join(', ');
+  }
+
+  const filters = [];
+  if (filter && filter.srcProvider) {
+    filters.push(`begins_with(${alias('srcRegion')}, :srcProvider)`);
+    values[':srcProvider'] = `${filter.srcProvider}@`;
+  }
+  if (filter && filter.dstProvider) {
+    filters.push(`begins_with(${alias('dstRegion')}, :dstProvider)`);
+    values[':dstProvider'] = `${filter.dstProvider}@`;
+  }
+  if (filter && filter.since) {
+    // a pair has changed if it has been measured or has failed since then
+    filters.push(`(${alias('measuredAt')} >= :since OR ${alias('lastFailureAt')} >= :since)`);
+    values[':since'] = filter.since;
+  }
+  if (filters.length) {
+    params.FilterExpression = filters.join(' AND ');
+  }
+
+  params.ExpressionAttributeNames = names;
+  params.ExpressionAttributeValues = values;
+  return params;
+};
+
+/**
+ * Remove the empty expression maps of a request, DynamoDB rejects them
+ *
+ * @param {*} params request parameters
+ * @returns the parameters
+ */
+const removeEmptyExpressions = (params) => {
+  ['ExpressionAttributeNames', 'ExpressionAttributeValues'].forEach((x) => {
+    if (params[x] && !Object.keys(params[x]).length) {
+      // eslint-disable-next-line no-param-reassign
+      delete params[x];
+    }
+  });
+  return params;
+};
+
+/**
+ * Create a storage backed by DynamoDB
+ *
+ * @param {*} config { region, tables: { data, cache, history } }, e.g.
+ * { region: 'us-west-2', tables: { data: 'CloudHighwayOne', cache: 'CloudHighwayOneCache', history: 'CloudHighwayOneHistory' } }
+ * @returns the storage, see storage/index.js
+ */
+module.exports.createDynamoDbStorage = ({ region, tables }) => {
+  const docClient = new AWS.DynamoDB.DocumentClient({
+    region,
+    apiVersion: '2012-08-10',
+    sslEnabled: true
+  });
+
+  /**
+   * Read a query or a scan, page by page
+   *
+   * @param {*} operation "query" or "scan"
+   * @param {*} params request parameters
+   * @param {*} options `limit` and `startKey`, see the storage interface
+   * @returns a promise of { items, nextKey }
+   */
+  const readPagesAsync = async (operation, params, { limit, startKey } = {}) => {
+    let items = [];
+    let lastEvaluatedKey = startKey || null;
+    if (limit) {
+      // eslint-disable-next-line no-param-reassign
+      params.Limit = limit;
+    }
+
+    do {
+      if (lastEvaluatedKey) {
+        // eslint-disable-next-line no-param-reassign
+        params.ExclusiveStartKey = lastEvaluatedKey;
+      }
+
+      // suppress eslint warnings
+      // eslint-disable-next-line no-await-in-loop
+      const response = await docClient[operation](removeEmptyExpressions(params)).promise();
+      lastEvaluatedKey = response.LastEvaluatedKey || null;
+      if (response.Items) {
+        items = items.concat(response.Items);
+      }
+      // with a limit, only read one page
+    } while (lastEvaluatedKey && !limit);
+
+    return { items, nextKey: lastEvaluatedKey };
+  };
+
+  /**
+   * Write items to a table with BatchWriteItem
+   *
+   * @param {*} tableName e.g. "CloudHighwayOne"
+   * @param {*} items items to put
+   * @returns a promise of the items that could not be written
+   */
+  const batchPutAsync = async (tableName, items) => {
+    let unwritten = [];
+
+    // suppress eslint warnings, batches are written one after another to avoid throttling
+    /* eslint-disable no-await-in-loop */
+    const batches = chunk(items, BATCH_WRITE_SIZE);
+    for (let i = 0; i < batches.length; i += 1) {
+      let requests = batches[i].map((item) => {
+        return {
+          PutRequest: {
+            Item: item
+          }
+        };
+      });
+
+      for (let attempt = 0; requests.length && attempt <= BATCH_MAX_RETRIES; attempt += 1) {
+        if (attempt > 0) {
+          await sleepAsync(BATCH_WRITE_BASE_DELAY_IN_MILLISECONDS * 2 ** (attempt - 1));
+        }
+        try {
+          const response = await docClient.batchWrite({ RequestItems: { [tableName]: requests } }).promise();
+          requests = (response.UnprocessedItems && response.UnprocessedItems[tableName]) || [];
+        } catch (error) {
+          // retry the whole batch
+          console.error(error);
+        }
+      }
+
+      unwritten = unwritten.concat(requests.map((x) => x.PutRequest.Item));
+    }
+    /* eslint-enable no-await-in-loop */
+
+    return unwritten;
+  };
+
+  return {
+    getPair: async (srcRegion, dstRegion, options) => {
+      const params = {
+        TableName: tables.data,
+        Key: { srcRegion, dstRegion },
+        ...createReadExpressions(['srcRegion', 'dstRegion'], options)
+      };
+      const response = await docClient.get(removeEmptyExpressions(params)).promise();
+      return response.Item || null;
+    },
+
+    batchGetPairs: async (keys, options) => {
+      let items = [];
+      let unprocessedKeys = [];
+
+      // suppress eslint warnings, each retry waits for the previous attempt
+      /* eslint-disable no-await-in-loop */
+      const batches = chunk(keys, BATCH_GET_SIZE);
+      for (let i = 0; i < batches.length; i += 1) {
+        let remainingKeys = batches[i];
+        for (let attempt = 0; remainingKeys.length && attempt <= BATCH_MAX_RETRIES; attempt += 1) {
+          if (attempt > 0) {
+            await sleepAsync(BATCH_GET_BASE_DELAY_IN_MILLISECONDS * 2 ** (attempt - 1));
+          }
+          const request = removeEmptyExpressions({
+            Keys: remainingKeys,
+            ...createReadExpressions(['srcRegion', 'dstRegion'], options)
+          });
+          delete request.ExpressionAttributeValues;
+          const response = await docClient.batchGet({ RequestItems: { [tables.data]: request } }).promise();
+          items = items.concat((response.Responses && response.Responses[tables.data]) || []);
+          remainingKeys =
+            (response.UnprocessedKeys &&
+              response.UnprocessedKeys[tables.data] &&
+              response.UnprocessedKeys[tables.data].Keys) ||
+            [];
+        }
+        unprocessedKeys = unprocessedKeys.concat(remainingKeys);
+      }
+      /* eslint-enable no-await-in-loop */
+
+      return { items, unprocessedKeys };
+    },
+
+    querySource: async (srcRegion, options = {}) => {
+      const params = {
+        TableName: tables.data,
+        ...createReadExpressions(['srcRegion', 'dstRegion'], options)
+      };
+      params.ExpressionAttributeNames['#srcRegion'] = 'srcRegion';
+      params.ExpressionAttributeValues[':srcRegion'] = srcRegion;
+      params.KeyConditionExpression = '#srcRegion = :srcRegion';
+      return readPagesAsync('query', params, options);
+    },
+
+    scanAll: async (options = {}) => {
+      const params = {
+        TableName: tables.data,
+        ...createReadExpressions(['srcRegion', 'dstRegion'], options)
+      };
+      return readPagesAsync('scan', params, options);
+    },
+
+    putMeasurements: async (items) => {
+      return batchPutAsync(tables.data, items);
+    },
+
+    queryHistory: async (pair, { from, to, attributes } = {}) => {
+      const params = {
+        TableName: tables.history,
+        ...createReadExpressions(['pair', 'measuredAt'], { attributes }),
+        // oldest first
+        ScanIndexForward: true
+      };
+      params.ExpressionAttributeNames['#pair'] = 'pair';
+      params.ExpressionAttributeNames['#measuredAt'] = 'measuredAt';
+      params.ExpressionAttributeValues[':pair'] = pair;
+      params.ExpressionAttributeValues[':from'] = from;
+      params.ExpressionAttributeValues[':to'] = to;
+      params.KeyConditionExpression = '#pair = :pair AND #measuredAt BETWEEN :from AND :to';
+      const { items } = await readPagesAsync('query', params);
+      return items;
+    },
+
+    putHistory: async (items) => {
+      return batchPutAsync(tables.history, items);
+    },
+
+    getCache: async (key) => {
+      const response = await docClient.get({ TableName: tables.cache, Key: { key } }).promise();
+      const item = response.Item;
+      // expired items are deleted by DynamoDB, but not immediately
+      if (item && item.value && item.ttl && item.ttl > Math.floor(Date.now() / 1000)) {
+        return item.value;
+      }
+      return null;
+    },
+
+    putCache: async (key, value, ttl) => {
+      await docClient.put({ TableName: tables.cache, Item: { key, value, ttl } }).promise();
+    }
+  };
+};
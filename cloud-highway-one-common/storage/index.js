@@ -0,0 +1,95 @@
+const { createDynamoDbStorage } = require('./dynamodb');
+const { createMemoryStorage } = require('./memory');
+
+/**
+ * Storage of the measurements, their history and the cache
+ *
+ * The API and the collector only talk to the database through a storage, so that the database can be replaced.
+ * Two backends are available:
+ *
+ * - dynamodb (default): the DynamoDB tables of the serverless deployment
+ * - memory: everything in memory, optionally persisted to a JSON file (`file`), see memory.js. Needs no cloud account
+ *
+ * A storage has these async methods. Region names join provider name and region name with `@`, e.g. "aws@us-west-2":
+ *
+ * - getPair(srcRegion, dstRegion, { attributes }): the latest measurement of a pair, or null if it has not been measured
+ * - batchGetPairs(keys, { attributes }): the latest measurements of many pairs, keys are [{ srcRegion, dstRegion }, ...] without duplicates.
+ *   Returns { items, unprocessedKeys }, the items found in any order and the keys which could not be read (e.g. because of throttling)
+ * - querySource(srcRegion, { attributes, filter, limit, startKey }): the latest measurements from a source region
+ * - scanAll({ attributes, filter, limit, startKey }): the latest measurements of all pairs
+ *   Both return { items, nextKey }. Without `limit` all items are read and nextKey is null. With `limit`, up to that many items are
+ *   evaluated before the filter is applied, pass nextKey as `startKey` to read the next page until it is null
+ * - putMeasurements(items): write the latest measurements, e.g. [{ srcRegion, dstRegion, ping, measuredAt, ... }, ...].
+ *   Returns the items which could not be written
+ * - queryHistory(pair, { from, to, attributes }): the history of a pair ("src+dst") measured between two ISO 8601 dates, oldest first
+ * - putHistory(items): write history items, e.g. [{ pair, measuredAt, ping, ttl, ... }, ...]. Returns the items which could not be written
+ * - getCache(key): a cached string value, or null if there is none or it has expired
+ * - putCache(key, value, ttl): cache a string value until `ttl` (seconds since epoch)
+ *
+ * `attributes` optionally picks the attributes to read besides the key attributes, e.g. ["ping", "measuredAt"].
+ * `filter` optionally picks the measurements to return, { srcProvider, dstProvider, since }: pairs from or to a provider,
+ * and pairs measured or failed since an ISO 8601 date.
+ */
+
+const BACKENDS = {
+  dynamodb: createDynamoDbStorage,
+  memory: createMemoryStorage
+};
+module.exports.BACKENDS = Object.keys(BACKENDS);
+
+/**
+ * Create a storage
+ *
+ * @param {*} config { backend, region, tables, file }, see readStorageConfig
+ * @returns the storage
+ */
+const createStorage = (config) => {
+  const create = BACKENDS[config.backend];
+  if (!create) {
+    throw new Error(`Unknown storage backend "${config.backend}", use one of ${Object.keys(BACKENDS).join(', ')}`);
+  }
+  return create(config);
+};
+module.exports.createStorage = createStorage;
+
+/**
+ * Read the storage config from environment variables
+ *
+ * - STORAGE_BACKEND: "dynamodb" (default) or "memory"
+ * - STORAGE_FILE: memory backend only, optional JSON file to persist the data to, e.g. "./data/cloud-highway-one.json"
+ * - DYNAMODB_REGION: dynamodb backend only, defaults to "us-west-2"
+ * - DATA_TABLE_NAME, CACHE_TABLE_NAME and HISTORY_TABLE_NAME: dynamodb backend only,
+ *   default to "CloudHighwayOne", "CloudHighwayOneCache" and "CloudHighwayOneHistory"
+ *
+ * @param {*} env e.g. process.env
+ * @returns e.g. { backend: 'dynamodb', region: 'us-west-2', tables: { data: 'CloudHighwayOne', cache: 'CloudHighwayOneCache', history: 'CloudHighwayOneHistory' }, file: undefined }
+ */
+const readStorageConfig = (env) => {
+  return {
+    backend: env.STORAGE_BACKEND || 'dynamodb',
+    region: env.DYNAMODB_REGION || 'us-west-2',
+    tables: {
+      data: env.DATA_TABLE_NAME || 'CloudHighwayOne',
+      cache: env.CACHE_TABLE_NAME || 'CloudHighwayOneCache',
+      history: env.HISTORY_TABLE_NAME || 'CloudHighwayOneHistory'
+    },
+    file: env.STORAGE_FILE
+  };
+};
+module.exports.readStorageConfig = readStorageConfig;
+
+let storage = null;
+
+/**
+ * Get the storage configured by the environment variables, see readStorageConfig
+ *
+ * The storage is created on first use and shared by all callers in the process.
+ *
+ * @returns the storage
+ */
+module.exports.getStorage = () => {
+  if (!storage) {
+    storage = createStorage(readStorageConfig(process.env));
+  }
+  return storage;
+};
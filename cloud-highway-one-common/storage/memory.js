@@ -0,0 +1,231 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Compare two keys of the data table, in the order of a DynamoDB scan of a single partition
+ *
+ * @param {*} a e.g. { srcRegion: 'aws@us-west-2', dstRegion: 'aws@ap-east-1' }
+ * @param {*} b e.g. { srcRegion: 'aws@us-west-2', dstRegion: 'gcp@asia-east1' }
+ * @returns negative if a comes first, positive if b comes first, 0 if they are equal
+ */
+const compareKeys = (a, b) => {
+  if (a.srcRegion !== b.srcRegion) {
+    return a.srcRegion < b.srcRegion ? -1 : 1;
+  }
+  if (a.dstRegion !== b.dstRegion) {
+    return a.dstRegion < b.dstRegion ? -1 : 1;
+  }
+  return 0;
+};
+
+/**
+ * Keep only some attributes of an item
+ *
+ * @param {*} item e.g. { srcRegion: 'aws@us-west-2', dstRegion: 'aws@ap-east-1', ping: 125.74213, ... }
+ * @param {*} keyAttributes attributes which are always kept, e.g. ["srcRegion", "dstRegion"]
+ * @param {*} attributes optional attributes to keep, e.g. ["ping"]. All attributes are kept if not set
+ * @returns a copy of the item, e.g. { srcRegion: 'aws@us-west-2', dstRegion: 'aws@ap-east-1', ping: 125.74213 }
+ */
+const project = (item, keyAttributes, attributes) => {
+  if (!attributes) {
+    return { ...item };
+  }
+  const result = {};
+  [...keyAttributes, ...attributes].forEach((x) => {
+    if (item[x] !== undefined) {
+      result[x] = item[x];
+    }
+  });
+  return result;
+};
+
+/**
+ * Check an item of the data table against a filter, see the storage interface
+ *
+ * @param {*} item e.g. { srcRegion: 'aws@us-west-2', dstRegion: 'aws@ap-east-1', measuredAt: '2020-08-01T00:00:00.512Z', ... }
+ * @param {*} filter optional, e.g. { srcProvider: 'aws', dstProvider: 'gcp', since: '2020-08-01T00:00:00.000Z' }
+ * @returns true if the item matches the filter
+ */
+const matchFilter = (item, filter) => {
+  if (!filter) {
+    return true;
+  }
+  return (
+    (!filter.srcProvider || item.srcRegion.startsWith(`${filter.srcProvider}@`)) &&
+    (!filter.dstProvider || item.dstRegion.startsWith(`${filter.dstProvider}@`)) &&
+    (!filter.since || item.measuredAt >= filter.since || item.lastFailureAt >= filter.since)
+  );
+};
+
+/**
+ * Check whether an item has expired, like the TTL of DynamoDB
+ *
+ * @param {*} item e.g. { ttl: 1596240000, ... }
+ * @returns true if the item has a ttl (seconds since epoch) in the past
+ */
+const isExpired = (item) => {
+  return Boolean(item.ttl) && item.ttl <= Math.floor(Date.now() / 1000);
+};
+
+/**
+ * Create a storage which keeps everything in memory, and optionally in a JSON file
+ *
+ * It needs no cloud account, use it to run the API and the collector on a laptop or in CI.
+ *
+ * Without a file the data lives as long as the process. With a file the measurements and the history are written to it after every change
+ * and read again when another process (e.g. the collector) has changed it, so that separate processes can share the data. The file is
+ * meant for a single machine and a few processes, it is not a database: concurrent writers overwrite each other's changes.
+ * The cache is always kept in memory only.
+ *
+ * @param {*} config { file }, e.g. { file: './data/cloud-highway-one.json' }
+ * @returns the storage, see storage/index.js
+ */
+module.exports.createMemoryStorage = ({ file } = {}) => {
+  // { 'aws@us-west-2': { 'aws@ap-east-1': { srcRegion: 'aws@us-west-2', dstRegion: 'aws@ap-east-1', ping: 125.74213, ... } } }
+  let data = {};
+  // { 'aws@us-west-2+aws@ap-east-1': [{ pair: 'aws@us-west-2+aws@ap-east-1', measuredAt: '2020-08-01T00:00:00.512Z', ping: 125.74213, ... }] }
+  let history = {};
+  const cache = {};
+  let loadedAt = null;
+
+  /**
+   * Read the file again if it has been changed since the last time
+   */
+  const load = () => {
+    if (!file || !fs.existsSync(file)) {
+      return;
+    }
+    const modifiedAt = fs.statSync(file).mtimeMs;
+    if (modifiedAt === loadedAt) {
+      return;
+    }
+    const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+    data = content.data || {};
+    history = content.history || {};
+    loadedAt = modifiedAt;
+  };
+
+  /**
+   * Write everything except the cache to the file
+   *
+   * A temporary file is renamed over the file, so that readers never see a partial file.
+   */
+  const save = () => {
+    if (!file) {
+      return;
+    }
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    const temporaryFile = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(temporaryFile, JSON.stringify({ data, history }));
+    fs.renameSync(temporaryFile, file);
+    loadedAt = fs.statSync(file).mtimeMs;
+  };
+
+  /**
+   * Read a page of items of the data table
+   *
+   * Like DynamoDB, `limit` is the number of items to evaluate, the filter is applied afterwards. So a page can have fewer items than
+   * `limit` and still have a next page.
+   *
+   * @param {*} items all candidate items, sorted by key
+   * @param {*} options see the storage interface
+   * @returns { items, nextKey }
+   */
+  const readPage = (items, { attributes, filter, limit, startKey } = {}) => {
+    const start = startKey ? items.findIndex((x) => compareKeys(x, startKey) > 0) : 0;
+    const remainingItems = start < 0 ? [] : items.slice(start);
+    const evaluatedItems = limit ? remainingItems.slice(0, limit) : remainingItems;
+    const lastItem = evaluatedItems[evaluatedItems.length - 1];
+    return {
+      items: evaluatedItems
+        .filter((x) => matchFilter(x, filter))
+        .map((x) => project(x, ['srcRegion', 'dstRegion'], attributes)),
+      nextKey:
+        evaluatedItems.length < remainingItems.length
+          ? { srcRegion: lastItem.srcRegion, dstRegion: lastItem.dstRegion }
+          : null
+    };
+  };
+
+  /**
+   * List the items of the data table from some source regions, sorted by key
+   *
+   * @param {*} srcRegions source region names, e.g. ["aws@us-west-2"]
+   * @returns items
+   */
+  const listItems = (srcRegions) => {
+    return []
+      .concat(...srcRegions.map((x) => Object.values(data[x] || {})))
+      .filter((x) => !isExpired(x))
+      .sort(compareKeys);
+  };
+
+  return {
+    getPair: async (srcRegion, dstRegion, { attributes } = {}) => {
+      load();
+      const item = data[srcRegion] && data[srcRegion][dstRegion];
+      return item && !isExpired(item) ? project(item, ['srcRegion', 'dstRegion'], attributes) : null;
+    },
+
+    batchGetPairs: async (keys, options) => {
+      load();
+      const items = [];
+      keys.forEach(({ srcRegion, dstRegion }) => {
+        const item = data[srcRegion] && data[srcRegion][dstRegion];
+        if (item && !isExpired(item)) {
+          items.push(project(item, ['srcRegion', 'dstRegion'], options && options.attributes));
+        }
+      });
+      return { items, unprocessedKeys: [] };
+    },
+
+    querySource: async (srcRegion, options) => {
+      load();
+      return readPage(listItems([srcRegion]), options);
+    },
+
+    scanAll: async (options) => {
+      load();
+      return readPage(listItems(Object.keys(data)), options);
+    },
+
+    putMeasurements: async (items) => {
+      load();
+      items.forEach((x) => {
+        data[x.srcRegion] = data[x.srcRegion] || {};
+        data[x.srcRegion][x.dstRegion] = { ...x };
+      });
+      save();
+      return [];
+    },
+
+    queryHistory: async (pair, { from, to, attributes } = {}) => {
+      load();
+      return (history[pair] || [])
+        .filter((x) => !isExpired(x) && x.measuredAt >= from && x.measuredAt <= to)
+        .map((x) => project(x, ['pair', 'measuredAt'], attributes));
+    },
+
+    putHistory: async (items) => {
+      load();
+      items.forEach((x) => {
+        // keep each pair sorted by time and drop the expired items, there is no TTL to do it
+        const entries = (history[x.pair] || []).filter((y) => !isExpired(y) && y.measuredAt !== x.measuredAt);
+        entries.push({ ...x });
+        entries.sort((a, b) => (a.measuredAt < b.measuredAt ? -1 : 1));
+        history[x.pair] = entries;
+      });
+      save();
+      return [];
+    },
+
+    getCache: async (key) => {
+      const item = cache[key];
+      return item && !isExpired(item) ? item.value : null;
+    },
+
+    putCache: async (key, value, ttl) => {
+      cache[key] = { value, ttl };
+    }
+  };
+};